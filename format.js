@@ -0,0 +1,172 @@
+/**
+ * Message formatting, shared by the server (require("./format")) and the browser
+ * (served as /format.js, window.ChachChatFormat). Messages are stored as the raw text people typed; this turns it
+ * into HTML. Everything is escaped first, so the only markup in the output is the few tags
+ * made here:
+ *   **bold**  *italic* / _italic_  ~~strike~~  `code`  ```fenced code```  ||spoiler||
+ * and bare http(s) URLs become links.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ChachChatFormat = factory();
+})(typeof self !== "undefined" ? self : this, () => {
+  // ```lang\n...``` - the language tag is optional and only shown as a label
+  const FENCE = /```(?:([A-Za-z0-9+#.-]{1,20})\n)?([\s\S]*?)```/g;
+
+  // one alternative per inline style; the leftmost match wins, then the first listed
+  const INLINE = new RegExp([
+    /`([^`\n]+)`/.source,                                        // 1 code
+    /(https?:\/\/[^\s<>"'`]+)/.source,                           // 2 link
+    /\|\|(?=\S)([\s\S]*?\S)\|\|/.source,                         // 3 spoiler
+    /\*\*(?=\S)([\s\S]*?\S)\*\*/.source,                         // 4 bold
+    /~~(?=\S)([\s\S]*?\S)~~/.source,                             // 5 strike
+    /\*(?=[^\s*])([\s\S]*?[^\s*])\*/.source,                     // 6 italic
+    /(^|[^A-Za-z0-9_\\])_(?=[^\s_])([^_]*?[^\s_])_(?![A-Za-z0-9_])/.source // 7, 8 italic
+  ].join("|"), "g");
+  // "_" only opens italics at a word boundary, and not after a backslash: ¯\_(ツ)_/¯ stays a shrug
+
+  const LINK = /^https?:\/\/[^/?#]/;
+
+  // spoilers in bold in italics is plenty; deeper than that stays literal
+  const MAX_DEPTH = 4;
+
+  function escapeHtml(s) {
+    return s.replace(/[&<>"']/g, (c) => ({
+      "&":"&amp;",
+      "<":"&lt;",
+      ">":"&gt;",
+      '"':"&quot;",
+      "'":"&#39;"
+    }[c]));
+  }
+
+  function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\-]/g, "\\$&");
+  }
+
+  // usernames are plain [A-Za-z0-9 _.-], so they read the same before and after escapeHtml
+  function highlightMentions(html, opts) {
+    if (!opts.mentionRe) return html;
+    return html.replace(opts.mentionRe, (all, name) => {
+      const me = opts.me && name.toLowerCase() === opts.me.toLowerCase();
+      return `<span class="mention${me ? " mentionMe" : ""}">${all}</span>`;
+    });
+  }
+
+  function plain(text, opts) {
+    return highlightMentions(escapeHtml(text), opts);
+  }
+
+  // "(see https://example.com/a)." links https://example.com/a, not the ")."
+  function trimUrl(url) {
+    url = url.replace(/[.,;:!?*_~|]+$/, "");
+    while (url.endsWith(")") && url.split("(").length < url.split(")").length) url = url.slice(0, -1);
+    return url;
+  }
+
+  function inline(text, opts, depth) {
+    if (depth >= MAX_DEPTH) return plain(text, opts);
+    const re = new RegExp(INLINE.source, INLINE.flags);
+    let out = "";
+    let last = 0;
+    let m;
+    while ((m = re.exec(text))) {
+      let start = m.index;
+      let html;
+      if (m[1] != null) {
+        html = `<code>${escapeHtml(m[1])}</code>`;
+      } else if (m[2] != null) {
+        const url = trimUrl(m[2]);
+        if (url.length < m[2].length) re.lastIndex = start + url.length;
+        if (!LINK.test(url)) continue;
+        const href = escapeHtml(url);
+        html = `<a href="${href}" target="_blank" rel="noopener noreferrer">${href}</a>`;
+      } else if (m[3] != null) {
+        html = `<span class="spoiler" tabindex="0">${inline(m[3], opts, depth + 1)}</span>`;
+      } else if (m[4] != null) {
+        html = `<strong>${inline(m[4], opts, depth + 1)}</strong>`;
+      } else if (m[5] != null) {
+        html = `<del>${inline(m[5], opts, depth + 1)}</del>`;
+      } else if (m[6] != null) {
+        html = `<em>${inline(m[6], opts, depth + 1)}</em>`;
+      } else {
+        // the character before "_" belongs to the text
+        start += m[7].length;
+        html = `<em>${inline(m[8], opts, depth + 1)}</em>`;
+      }
+      out += plain(text.slice(last, start), opts) + html;
+      last = re.lastIndex;
+    }
+    return out + plain(text.slice(last), opts);
+  }
+
+  // splits text into prose and fenced code, in order
+  function blocks(text) {
+    const parts = [];
+    let last = 0;
+    let m;
+    FENCE.lastIndex = 0;
+    while ((m = FENCE.exec(text))) {
+      if (m.index > last) parts.push({ text: text.slice(last, m.index) });
+      parts.push({ code: m[2].replace(/^\n/, "").replace(/\n$/, ""), lang: m[1] || "" });
+      last = FENCE.lastIndex;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last) });
+    return parts;
+  }
+
+  /**
+   * Raw message text -> safe HTML.
+   * opts.mentions: usernames the message mentions (highlighted), opts.me: the viewer's name.
+   */
+  function formatMessage(text, opts = {}) {
+    const mentions = opts.mentions || [];
+    const ctx = {
+      me: opts.me || null,
+      mentionRe: mentions.length
+        ? new RegExp(`@(${[...mentions].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})(?![A-Za-z0-9])`, "gi")
+        : null
+    };
+    const parts = blocks(String(text || ""));
+    return parts.map((p, i) => {
+      if (p.code != null) {
+        const lang = p.lang ? ` data-lang="${escapeHtml(p.lang)}"` : "";
+        return `<pre class="codeBlock"${lang}><code>${escapeHtml(p.code)}</code></pre>`;
+      }
+      // the block already breaks the line
+      let prose = p.text;
+      if (parts[i - 1]?.code != null) prose = prose.replace(/^\n/, "");
+      if (parts[i + 1]?.code != null) prose = prose.replace(/\n$/, "");
+      return inline(prose, ctx, 0);
+    }).join("");
+  }
+
+  // the URLs formatMessage links, in order; code and spoilers are left out
+  function links(text) {
+    const out = [];
+    const walk = (s, depth) => {
+      if (depth >= MAX_DEPTH) return;
+      const re = new RegExp(INLINE.source, INLINE.flags);
+      let m;
+      while ((m = re.exec(s))) {
+        if (m[2] != null) {
+          const url = trimUrl(m[2]);
+          if (url.length < m[2].length) re.lastIndex = m.index + url.length;
+          if (LINK.test(url)) out.push(url);
+        } else {
+          const inner = m[4] ?? m[5] ?? m[6] ?? m[8];
+          if (inner != null) walk(inner, depth + 1);
+        }
+      }
+    };
+    for (const p of blocks(String(text || ""))) if (p.code == null) walk(p.text, 0);
+    return out;
+  }
+
+  // characters outside fenced code blocks, which is what the short-message limit counts
+  function proseLength(text) {
+    return blocks(String(text || "")).reduce((n, p) => n + (p.code != null ? 0 : p.text.length), 0);
+  }
+
+  return { formatMessage, links, proseLength, escapeHtml };
+});
@@ -1,31 +1,102 @@
 /**
  * ChachChat - single service (API + static UI)
  * - Per-user accounts (username + password)
- * - Auth via httpOnly cookie token stored in SQLite
- * - Realtime updates via Server-Sent Events (SSE) + safe polling fallback
- * - Static UI served from /public
+ * - Auth via httpOnly cookie token stored in SQLite, or a scoped API token (Authorization: Bearer)
+ * - Bots: incoming webhook URLs post as a bot; outgoing webhooks get signed message callbacks
+ * - Realtime updates over a WebSocket (/api/ws), falling back to Server-Sent Events
+ *   with Last-Event-ID resume, then polling; both streams carry the same events
+ * - Static UI served from /public, plus /format.js (the message formatter, shared with the server)
  *
- * NOTE: This is a simple demo. Use HTTPS and add rate-limits before going public.
+ * NOTE: This is a simple demo. Use HTTPS before going public; rate limits are in-process
+ * (per server instance), see the RATE_* env vars.
  */
 
 const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
 
 const express = require("express");
 const sqlite3 = require("sqlite3").verbose();
 const bcrypt = require("bcryptjs");
+const multer = require("multer");
+const { WebSocketServer } = require("ws");
+const { links, proseLength } = require("./format");
 
 const app = express();
 app.disable("x-powered-by");
+// behind a reverse proxy (Railway, nginx) set TRUST_PROXY so req.ip is the client, e.g. "1" or "loopback"
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(tp) ? Number(tp) : tp === "true" ? true : tp);
+}
 
 // Railway sets PORT
 const PORT = process.env.PORT ? Number(process.env.PORT) : 8080;
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, "data.sqlite");
+// sessions expire after this long without activity
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_DAYS || 14) * 24 * 60 * 60 * 1000;
+// how long authors may edit/delete their own messages (0 = no limit)
+const MESSAGE_EDIT_WINDOW_MS = Number(process.env.MESSAGE_EDIT_WINDOW_SECONDS ?? 900) * 1000;
+// code blocks may run up to MESSAGE_MAX_LENGTH; the text around them stays chat-sized
+const MESSAGE_MAX_LENGTH = Number(process.env.MESSAGE_MAX_LENGTH || 4000);
+const MESSAGE_PROSE_MAX = Math.min(500, MESSAGE_MAX_LENGTH);
+// uploaded files live next to the database unless told otherwise
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(path.dirname(DB_PATH), "uploads");
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 10 * 1024 * 1024);
+// rate limits: bursts of *_BURST, refilled at *_PER_MIN (or per hour) on average
+const RATE_AUTH_PER_MIN = Number(process.env.RATE_AUTH_PER_MIN || 10);
+const RATE_AUTH_BURST = Number(process.env.RATE_AUTH_BURST || 5);
+const RATE_REGISTER_PER_HOUR = Number(process.env.RATE_REGISTER_PER_HOUR || 20);
+const RATE_POST_PER_MIN = Number(process.env.RATE_POST_PER_MIN || 30);
+const RATE_POST_BURST = Number(process.env.RATE_POST_BURST || 10);
+// failed logins: lock after THRESHOLD misses, 30s doubling per further miss up to MAX
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const LOGIN_LOCKOUT_BASE_SECONDS = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS || 30);
+const LOGIN_LOCKOUT_MAX_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS || 900);
+// link previews: the server fetches the first link in a message; private addresses are refused
+// unless the host is listed in UNFURL_ALLOWED_HOSTS (e.g. "localhost" for a test fixture)
+const UNFURL_ENABLED = process.env.UNFURL_ENABLED !== "0";
+const UNFURL_TIMEOUT_MS = Number(process.env.UNFURL_TIMEOUT_MS || 5000);
+const UNFURL_MAX_BYTES = Number(process.env.UNFURL_MAX_BYTES || 512 * 1024);
+const UNFURL_IMAGE_MAX_BYTES = Number(process.env.UNFURL_IMAGE_MAX_BYTES || 1024 * 1024);
+const UNFURL_ALLOWED_HOSTS = new Set(
+  (process.env.UNFURL_ALLOWED_HOSTS || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean)
+);
+// largest JSON file POST /api/admin/import accepts
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES || 50 * 1024 * 1024);
+// bootstrap owner: promoted at startup; created with ADMIN_PASSWORD if the account doesn't exist yet
+const ADMIN_USERNAME = (process.env.ADMIN_USERNAME || "").trim();
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+const UPLOAD_MIME_TYPES = new Set(
+  (process.env.UPLOAD_MIME_TYPES ||
+    "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,application/zip")
+    .split(",")
+    .map(t => t.trim())
+    .filter(Boolean)
+);
 
 // ---- middleware
 app.use(express.json({ limit: "64kb" }));
+// no inline script or style anywhere; uploads are same-origin, avatars / previews may be data: URLs
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join("; ");
+
 app.use((req, res, next) => {
+  res.setHeader("Content-Security-Policy", CONTENT_SECURITY_POLICY);
+  if (req.secure) res.setHeader("Strict-Transport-Security", "max-age=15552000");
   res.setHeader("X-Content-Type-Options", "nosniff");
   res.setHeader("Referrer-Policy", "no-referrer");
   res.setHeader("Permissions-Policy", "camera=(), microphone=(), geolocation=()");
@@ -48,42 +119,103 @@ function parseCookies(cookieHeader) {
   return out;
 }
 
+// SameSite=Lax so it works normally; Secure whenever the request came in over https
+// (behind a proxy that needs TRUST_PROXY so req.secure sees X-Forwarded-Proto)
+function cookieAttrs(req) {
+  const secure = req.secure || process.env.NODE_ENV === "production" ? "; Secure" : "";
+  return `Path=/; SameSite=Lax${secure}`;
+}
+
 function setAuthCookie(res, token) {
-  // SameSite=Lax so it works normally; Secure should be on in prod with https.
-  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
-  res.setHeader(
-    "Set-Cookie",
-    `chachchat_token=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax${secure}`
-  );
+  res.append("Set-Cookie", `chachchat_token=${encodeURIComponent(token)}; HttpOnly; ${cookieAttrs(res.req)}`);
 }
 
 function clearAuthCookie(res) {
-  res.setHeader(
-    "Set-Cookie",
-    "chachchat_token=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0"
-  );
+  res.append("Set-Cookie", `chachchat_token=; HttpOnly; ${cookieAttrs(res.req)}; Max-Age=0`);
+}
+
+// ---- CSRF (double-submit): a random token in a readable cookie that client.js echoes back
+// in X-CSRF-Token; another site can send the cookie but can't read it to set the header.
+const CSRF_COOKIE = "chachchat_csrf";
+const CSRF_HEADER = "X-CSRF-Token";
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function csrfProtection(req, res, next) {
+  // bearer tokens and webhook URLs aren't sent along by the browser, so another site can't ride on them
+  if (bearerToken(req) || req.path.startsWith("/hooks/")) return next();
+  const cookie = parseCookies(req.headers.cookie || "")[CSRF_COOKIE];
+  if (!cookie) {
+    // first visit: hand out a token; the page's GET /api/me runs before anything is posted
+    const token = crypto.randomBytes(24).toString("base64url");
+    res.append("Set-Cookie", `${CSRF_COOKIE}=${token}; ${cookieAttrs(req)}; Max-Age=31536000`);
+  }
+  if (SAFE_METHODS.has(req.method)) return next();
+
+  const header = Buffer.from(req.get(CSRF_HEADER) || "");
+  const expected = Buffer.from(cookie || "");
+  const ok = expected.length > 0 && header.length === expected.length && crypto.timingSafeEqual(header, expected);
+  if (!ok) return res.status(403).json({ error: "Missing or invalid CSRF token" });
+  next();
 }
+app.use("/api", csrfProtection);
 
 // ---- db
 const db = new sqlite3.Database(DB_PATH);
+// transactions get a connection of their own, so no other request's writes end up inside one;
+// those wait for the lock instead
+const txDb = new sqlite3.Database(DB_PATH);
+const DB_BUSY_TIMEOUT_MS = 10_000;
+db.configure("busyTimeout", DB_BUSY_TIMEOUT_MS);
+txDb.configure("busyTimeout", DB_BUSY_TIMEOUT_MS);
 
-function dbRun(sql, params = []) {
+// every account is a member of the default room, which can't be left
+const DEFAULT_ROOM_ID = 1;
+const DEFAULT_ROOM_NAME = "general";
+
+function dbRun(sql, params = [], conn = db) {
   return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
+    conn.run(sql, params, function (err) {
       if (err) reject(err);
       else resolve(this);
     });
   });
 }
-function dbGet(sql, params = []) {
+function dbGet(sql, params = [], conn = db) {
   return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    conn.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
   });
 }
-function dbAll(sql, params = []) {
+function dbAll(sql, params = [], conn = db) {
   return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    conn.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// runs fn(tx) as one unit on txDb, one transaction at a time. fn queries through tx
+// (dbRun(sql, params, tx)); a write through db would wait on this very transaction.
+let txQueue = Promise.resolve();
+function dbTransaction(fn) {
+  const run = txQueue.then(async () => {
+    await dbRun(`BEGIN IMMEDIATE`, [], txDb);
+    try {
+      const result = await fn(txDb);
+      await dbRun(`COMMIT`, [], txDb);
+      return result;
+    } catch (e) {
+      await dbRun(`ROLLBACK`, [], txDb).catch(() => {});
+      throw e;
+    }
   });
+  txQueue = run.catch(() => {});
+  return run;
+}
+
+// ALTER TABLE for databases created by older versions; resolves true if the column was added
+async function addColumnIfMissing(table, column, ddl) {
+  const cols = await dbAll(`PRAGMA table_info(${table})`);
+  if (cols.some(c => c.name === column)) return false;
+  await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+  return true;
 }
 
 async function initDb() {
@@ -104,6 +236,11 @@ async function initDb() {
       expires_at TEXT NOT NULL
     );
   `);
+  // which device a session belongs to, so users can spot and revoke old ones
+  await addColumnIfMissing("sessions", "user_agent", "TEXT NOT NULL DEFAULT ''");
+  await addColumnIfMissing("sessions", "ip", "TEXT NOT NULL DEFAULT ''");
+  await addColumnIfMissing("sessions", "last_seen_at", "TEXT");
+  await dbRun(`CREATE INDEX IF NOT EXISTS sessions_user ON sessions (username);`);
   await dbRun(`
     CREATE TABLE IF NOT EXISTS messages (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -112,10 +249,370 @@ async function initDb() {
       created_at TEXT NOT NULL
     );
   `);
-  // cleanup old sessions sometimes
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      topic TEXT NOT NULL DEFAULT '',
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS room_members (
+      room_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      joined_at TEXT NOT NULL,
+      PRIMARY KEY (room_id, username)
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS room_members_user ON room_members (username);`);
+
+  // everything posted before rooms existed lives in the default room
+  const now = new Date().toISOString();
+  await dbRun(
+    `INSERT OR IGNORE INTO rooms (id, name, topic, created_by, created_at) VALUES (?, ?, ?, ?, ?)`,
+    [DEFAULT_ROOM_ID, DEFAULT_ROOM_NAME, "", "system", now]
+  );
+  if (await addColumnIfMissing("messages", "room_id", "INTEGER")) {
+    await dbRun(`UPDATE messages SET room_id = ? WHERE room_id IS NULL`, [DEFAULT_ROOM_ID]);
+  }
+  await dbRun(`CREATE INDEX IF NOT EXISTS messages_room ON messages (room_id, id);`);
+  await dbRun(
+    `INSERT OR IGNORE INTO room_members (room_id, username, joined_at) SELECT ?, username, ? FROM users`,
+    [DEFAULT_ROOM_ID, now]
+  );
+  // direct messages: `key` is the sorted participant list, so a DM with the same people is reused
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      key TEXT UNIQUE NOT NULL,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS conversation_participants (
+      conversation_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      joined_at TEXT NOT NULL,
+      PRIMARY KEY (conversation_id, username)
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS conversation_participants_user ON conversation_participants (username);`);
+  await addColumnIfMissing("messages", "conversation_id", "INTEGER");
+  await dbRun(`CREATE INDEX IF NOT EXISTS messages_conversation ON messages (conversation_id, id);`);
+  // edits and soft-deletes; a deleted message stays as a tombstone with empty text
+  await addColumnIfMissing("messages", "edited_at", "TEXT");
+  await addColumnIfMissing("messages", "deleted_at", "TEXT");
+  // thread replies point at the thread's root message
+  await addColumnIfMissing("messages", "parent_id", "INTEGER");
+  await dbRun(`CREATE INDEX IF NOT EXISTS messages_parent ON messages (parent_id, id);`);
+
+  // full-text index over messages.text, kept in sync by triggers
+  const hasFts = await dbGet(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'`);
+  await dbRun(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      text, content = 'messages', content_rowid = 'id', tokenize = 'unicode61 remove_diacritics 2'
+    );
+  `);
+  await dbRun(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+    END;
+  `);
+  await dbRun(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+    END;
+  `);
+  await dbRun(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+      INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+    END;
+  `);
+  if (!hasFts) await dbRun(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`);
+
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS reactions (
+      message_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      emoji TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (message_id, username, emoji)
+    );
+  `);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER,
+      uploader TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      stored_name TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS attachments_message ON attachments (message_id);`);
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+  // roles and moderation state; every action taken is kept in mod_actions
+  await addColumnIfMissing("users", "role", "TEXT NOT NULL DEFAULT 'member'");
+  await addColumnIfMissing("users", "muted_until", "TEXT");
+  await addColumnIfMissing("users", "banned_at", "TEXT");
+  await addColumnIfMissing("users", "ban_reason", "TEXT");
+  // rich presence: the status a user picked, their custom text and when they were last around
+  await addColumnIfMissing("users", "status", "TEXT NOT NULL DEFAULT 'online'");
+  await addColumnIfMissing("users", "status_text", "TEXT NOT NULL DEFAULT ''");
+  if (await addColumnIfMissing("users", "last_seen_at", "TEXT")) {
+    await dbRun(
+      `UPDATE users SET last_seen_at = (SELECT MAX(s.last_seen_at) FROM sessions s WHERE s.username = users.username)`
+    );
+  }
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS mod_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT,
+      message_id INTEGER,
+      reason TEXT NOT NULL DEFAULT '',
+      until TEXT,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await bootstrapOwner();
+
+  // content filter: admin-managed word lists, user reports and messages held for review
+  const hasFilterRules = await dbGet(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'filter_rules'`);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS filter_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      term TEXT NOT NULL,
+      list TEXT NOT NULL,
+      action TEXT NOT NULL,
+      whole_word INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (term, list)
+    );
+  `);
+  if (!hasFilterRules) {
+    // start from the legacy server's banned-word list
+    for (const term of LEGACY_BLOCKED_TERMS) {
+      await dbRun(
+        `INSERT OR IGNORE INTO filter_rules (term, list, action, whole_word, created_by, created_at) VALUES (?, 'block', 'reject', 0, 'system', ?)`,
+        [term, now]
+      );
+    }
+  }
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      reporter TEXT NOT NULL,
+      reason TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'open',
+      resolved_by TEXT,
+      resolved_at TEXT,
+      created_at TEXT NOT NULL,
+      UNIQUE (message_id, reporter)
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS reports_status ON reports (status, message_id);`);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS held_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      room_id INTEGER,
+      conversation_id INTEGER,
+      parent_id INTEGER,
+      username TEXT NOT NULL,
+      text TEXT NOT NULL,
+      attachment_ids TEXT NOT NULL DEFAULT '[]',
+      matched TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'pending',
+      reviewed_by TEXT,
+      reviewed_at TEXT,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await loadFilterRules();
+
+  // read receipts: how far each user has read in each channel ("room:1", "dm:5")
+  const hasReadState = await dbGet(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'read_state'`);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS read_state (
+      username TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      last_read_id INTEGER NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (username, channel)
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS read_state_channel ON read_state (channel);`);
+  if (!hasReadState) {
+    // existing history counts as read, rather than every old message showing up as unread
+    await dbRun(
+      `INSERT OR IGNORE INTO read_state (username, channel, last_read_id, updated_at)
+       SELECT mb.username, 'room:' || mb.room_id, MAX(m.id), ?
+       FROM room_members mb JOIN messages m ON m.room_id = mb.room_id
+       GROUP BY mb.username, mb.room_id`,
+      [now]
+    );
+    await dbRun(
+      `INSERT OR IGNORE INTO read_state (username, channel, last_read_id, updated_at)
+       SELECT mb.username, 'dm:' || mb.conversation_id, MAX(m.id), ?
+       FROM conversation_participants mb JOIN messages m ON m.conversation_id = mb.conversation_id
+       GROUP BY mb.username, mb.conversation_id`,
+      [now]
+    );
+  }
+
+  // @mentions; read_at doubles as the notification's read flag
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS mentions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      read_at TEXT,
+      UNIQUE (message_id, username)
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS mentions_user ON mentions (username, id);`);
+
+  // API tokens act as their user (a person or a bot account, which can't sign in with a password)
+  await addColumnIfMissing("users", "is_bot", "INTEGER NOT NULL DEFAULT 0");
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS api_tokens_user ON api_tokens (username);`);
+  // incoming webhooks post into a room as a bot; outgoing ones get a signed callback per message,
+  // queued in webhook_deliveries so failures are retried (across restarts too)
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS incoming_webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT UNIQUE NOT NULL,
+      prefix TEXT NOT NULL,
+      username TEXT NOT NULL,
+      room_id INTEGER NOT NULL,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT
+    );
+  `);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS outgoing_webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      room_id INTEGER,
+      created_by TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      last_status INTEGER,
+      last_error TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL,
+      delivered_at TEXT
+    );
+  `);
+  await dbRun(`CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS webhook_deliveries_hook ON webhook_deliveries (webhook_id, id);`);
+  setInterval(deliverWebhooks, WEBHOOK_POLL_MS).unref();
+  deliverWebhooks();
+
+  // slash commands: "action" messages (/me), display nicknames (/nick) and commands bots register
+  await addColumnIfMissing("messages", "kind", "TEXT");
+  await addColumnIfMissing("held_messages", "kind", "TEXT");
+  await addColumnIfMissing("users", "nick", "TEXT NOT NULL DEFAULT ''");
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS bot_commands (
+      name TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      args TEXT NOT NULL DEFAULT '',
+      description TEXT NOT NULL DEFAULT '',
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `);
+
+  // link previews: one cached row per URL, shared by every message that links it
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS link_previews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL,
+      title TEXT NOT NULL DEFAULT '',
+      description TEXT NOT NULL DEFAULT '',
+      site_name TEXT NOT NULL DEFAULT '',
+      image BLOB,
+      image_type TEXT,
+      fetched_at TEXT NOT NULL
+    );
+  `);
+  await addColumnIfMissing("messages", "preview_id", "INTEGER");
+  await dbRun(`CREATE INDEX IF NOT EXISTS messages_preview ON messages (preview_id);`);
+
+  // history imports: which source message became which message here, so a re-import skips it
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS imported_messages (
+      source TEXT NOT NULL,
+      source_id TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      imported_at TEXT NOT NULL,
+      PRIMARY KEY (source, source_id)
+    );
+  `);
+  // this database's own id, stamped on exports so it never imports its own messages twice
+  await dbRun(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT NOT NULL);`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('instance_id', ?)`, [crypto.randomUUID()]);
+  instanceId = (await dbGet(`SELECT value FROM settings WHERE key = 'instance_id'`)).value;
+
+  // cleanup old sessions (and uploads nobody attached to a message) sometimes
   setInterval(async () => {
     try {
       await dbRun(`DELETE FROM sessions WHERE expires_at < ?`, [new Date().toISOString()]);
+      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+      const orphans = await dbAll(
+        `SELECT id, stored_name FROM attachments
+         WHERE message_id IS NULL AND created_at < ?
+           AND id NOT IN (
+             SELECT j.value FROM held_messages h, json_each(h.attachment_ids) j WHERE h.status = 'pending'
+           )`,
+        [dayAgo]
+      );
+      await removeAttachments(orphans);
+      const weekAgo = new Date(Date.now() - WEBHOOK_LOG_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      await dbRun(`DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?`, [weekAgo]);
+      await dbRun(
+        `DELETE FROM link_previews WHERE fetched_at < ? AND id NOT IN (SELECT preview_id FROM messages WHERE preview_id IS NOT NULL)`,
+        [new Date(Date.now() - UNFURL_CACHE_MS).toISOString()]
+      );
     } catch {}
   }, 60_000).unref();
 }
@@ -132,24 +629,143 @@ function validateUsername(u) {
 function validatePassword(p) {
   return typeof p === "string" && p.length >= 4 && p.length <= 64;
 }
+function validateRoomName(n) {
+  // 2-32 chars, same alphabet as usernames
+  if (!n || n.length < 2 || n.length > 32) return false;
+  return /^[A-Za-z0-9 _\-.]+$/.test(n);
+}
+
+// ---- roles
+const ROLE_RANK = { member: 0, moderator: 1, admin: 2, owner: 3 };
+
+function roleRank(role) {
+  return ROLE_RANK[role] ?? 0;
+}
+
+async function bootstrapOwner() {
+  if (!ADMIN_USERNAME) return;
+  if (!validateUsername(ADMIN_USERNAME)) {
+    console.warn(`ADMIN_USERNAME "${ADMIN_USERNAME}" is not a valid username; ignoring`);
+    return;
+  }
+  const existing = await dbGet(`SELECT username FROM users WHERE username = ?`, [ADMIN_USERNAME]);
+  if (!existing) {
+    if (!validatePassword(ADMIN_PASSWORD)) {
+      console.warn(`ADMIN_USERNAME "${ADMIN_USERNAME}" has no account yet; register it or set ADMIN_PASSWORD`);
+      return;
+    }
+    const now = new Date().toISOString();
+    await dbRun(
+      `INSERT INTO users (username, pass_hash, created_at) VALUES (?, ?, ?)`,
+      [ADMIN_USERNAME, await bcrypt.hash(ADMIN_PASSWORD, 10), now]
+    );
+    await dbRun(
+      `INSERT OR IGNORE INTO room_members (room_id, username, joined_at) VALUES (?, ?, ?)`,
+      [DEFAULT_ROOM_ID, ADMIN_USERNAME, now]
+    );
+  }
+  await dbRun(`UPDATE users SET role = 'owner', banned_at = NULL, ban_reason = NULL WHERE username = ?`, [ADMIN_USERNAME]);
+}
 
 // ---- auth middleware
-async function requireAuth(req, res, next) {
-  try {
-    const cookies = parseCookies(req.headers.cookie || "");
-    const token = cookies.chachchat_token;
-    if (!token) return res.status(401).json({ error: "Not signed in" });
+// the session behind a token as { user }, or { status, error }. Also enforces bans: a banned
+// user's sessions are dropped on their next request.
+async function authenticate(token, ip) {
+  if (!token) return { status: 401, error: "Not signed in" };
 
-    const session = await dbGet(
-      `SELECT username, expires_at FROM sessions WHERE token = ?`,
-      [token]
+  const session = await dbGet(
+    `SELECT s.username, s.expires_at, s.last_seen_at, u.role, u.muted_until, u.banned_at
+     FROM sessions s JOIN users u ON u.username = s.username
+     WHERE s.token = ?`,
+    [token]
+  );
+  if (!session) return { status: 401, error: "Not signed in" };
+  if (session.expires_at < new Date().toISOString()) {
+    await dbRun(`DELETE FROM sessions WHERE token = ?`, [token]);
+    return { status: 401, error: "Session expired" };
+  }
+  if (session.banned_at) {
+    await dbRun(`DELETE FROM sessions WHERE username = ?`, [session.username]);
+    return { status: 403, error: "This account is banned" };
+  }
+  // sliding expiry; written at most once a minute so every request isn't a db write
+  const now = Date.now();
+  if (!session.last_seen_at || now - Date.parse(session.last_seen_at) > SESSION_TOUCH_MS) {
+    await dbRun(
+      `UPDATE sessions SET last_seen_at = ?, expires_at = ?, ip = ? WHERE token = ?`,
+      [new Date(now).toISOString(), new Date(now + SESSION_TTL_MS).toISOString(), ip || "", token]
     );
-    if (!session) return res.status(401).json({ error: "Not signed in" });
-    if (session.expires_at < new Date().toISOString()) {
-      await dbRun(`DELETE FROM sessions WHERE token = ?`, [token]);
-      return res.status(401).json({ error: "Session expired" });
+  }
+  return {
+    user: {
+      username: session.username,
+      token,
+      role: session.role,
+      mutedUntil: session.muted_until
+    }
+  };
+}
+
+// API tokens: "read" covers GET requests, "write" everything else, "admin" the moderation API
+const API_TOKEN_SCOPES = ["read", "write", "admin"];
+const API_TOKEN_PREFIX = "chc_";
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return m ? m[1] : null;
+}
+
+// API tokens and webhook URLs are stored hashed, like a password; only the creator sees them once
+function tokenHash(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function authenticateApiToken(token) {
+  const row = await dbGet(
+    `SELECT t.id, t.username, t.scopes, t.last_used_at, u.role, u.muted_until, u.banned_at
+     FROM api_tokens t JOIN users u ON u.username = t.username
+     WHERE t.token_hash = ?`,
+    [tokenHash(token)]
+  );
+  if (!row) return { status: 401, error: "Invalid API token" };
+  if (row.banned_at) return { status: 403, error: "This account is banned" };
+  const now = Date.now();
+  if (!row.last_used_at || now - Date.parse(row.last_used_at) > SESSION_TOUCH_MS) {
+    await dbRun(`UPDATE api_tokens SET last_used_at = ? WHERE id = ?`, [new Date(now).toISOString(), row.id]);
+  }
+  return {
+    user: {
+      username: row.username,
+      token: null,
+      apiTokenId: row.id,
+      scopes: row.scopes.split(" "),
+      role: row.role,
+      mutedUntil: row.muted_until
+    }
+  };
+}
+
+// cookie sessions can do everything; API tokens only what they were given
+function hasScope(user, scope) {
+  return !user.scopes || user.scopes.includes(scope);
+}
+
+// a bearer header always wins, so a bad token never falls back to the cookie (and CSRF check)
+async function requireAuth(req, res, next) {
+  try {
+    const bearer = bearerToken(req);
+    const auth = bearer
+      ? await authenticateApiToken(bearer)
+      : await authenticate(parseCookies(req.headers.cookie || "").chachchat_token, req.ip);
+    if (!auth.user) {
+      if (auth.status === 403 && !bearer) clearAuthCookie(res);
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const scope = SAFE_METHODS.has(req.method) ? "read" : "write";
+    if (!hasScope(auth.user, scope)) {
+      return res.status(403).json({ error: `This token needs the "${scope}" scope` });
     }
-    req.user = { username: session.username, token };
+    req.user = auth.user;
     next();
   } catch (e) {
     console.error("auth error", e);
@@ -157,33 +773,231 @@ async function requireAuth(req, res, next) {
   }
 }
 
-async function createSession(username, res) {
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (roleRank(req.user.role) < ROLE_RANK[minRole]) {
+      return res.status(403).json({ error: "Not allowed" });
+    }
+    if (!hasScope(req.user, "admin")) {
+      return res.status(403).json({ error: `This token needs the "admin" scope` });
+    }
+    next();
+  };
+}
+
+// signing out, sessions, account changes and minting tokens need the browser session
+function requireSession(req, res, next) {
+  if (!req.user.token) return res.status(403).json({ error: "Not available with an API token" });
+  next();
+}
+
+// muted users can still read, react and switch rooms; they just can't post
+function requireNotMuted(req, res, next) {
+  const until = req.user.mutedUntil;
+  if (until && until > new Date().toISOString()) {
+    return res.status(403).json({ error: `You are muted until ${until}`, muted_until: until });
+  }
+  next();
+}
+
+const SESSION_TOUCH_MS = 60_000;
+
+async function createSession(req, res, username) {
   const token = crypto.randomUUID();
   const now = new Date();
-  const expires = new Date(now.getTime() + 1000 * 60 * 60 * 24 * 14); // 14 days
+  const expires = new Date(now.getTime() + SESSION_TTL_MS);
   await dbRun(
-    `INSERT INTO sessions (token, username, created_at, expires_at) VALUES (?, ?, ?, ?)`,
-    [token, username, now.toISOString(), expires.toISOString()]
+    `INSERT INTO sessions (token, username, created_at, expires_at, last_seen_at, user_agent, ip)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [token, username, now.toISOString(), expires.toISOString(), now.toISOString(),
+      String(req.get("User-Agent") || "").slice(0, 256), req.ip || ""]
   );
   setAuthCookie(res, token);
 }
 
-// ---- simple in-memory SSE hub
+// the cookie is HttpOnly, so the raw token never goes to the page; sessions are named by a hash of it
+function sessionId(token) {
+  return crypto.createHash("sha256").update(token).digest("hex").slice(0, 24);
+}
+
+// ---- simple in-memory realtime hub
+// Clients are SSE responses or WebSockets and get the same events; the sse* helpers serve
+// both. Over a WebSocket an event is the JSON frame { event, data, id }.
+const SSE_HEARTBEAT_MS = 25_000;
+const SSE_REPLAY_LIMIT = 500;
+
+// { res | ws, username, token, role, rooms: Set, conversations: Set, queue, closed }
 const sseClients = new Set();
-function sseBroadcast(event, dataObj) {
-  const payload = `event: ${event}\ndata: ${JSON.stringify(dataObj)}\n\n`;
-  for (const res of sseClients) {
-    try {
-      res.write(payload);
-    } catch {}
+
+function sseFormat(event, dataObj, id) {
+  // `id:` lets the browser resume with Last-Event-ID after a reconnect
+  const idLine = id != null ? `id: ${id}\n` : "";
+  return `${idLine}event: ${event}\ndata: ${JSON.stringify(dataObj)}\n\n`;
+}
+
+// one event, serialized at most once per transport however many clients get it
+function sseEvent(event, dataObj, id) {
+  let sse;
+  let ws;
+  return {
+    id,
+    get sse() { return (sse ??= sseFormat(event, dataObj, id)); },
+    get ws() { return (ws ??= JSON.stringify({ event, data: dataObj, id: id ?? null })); }
+  };
+}
+
+function sseSend(client, packet) {
+  try {
+    if (client.ws) client.ws.send(packet.ws);
+    else client.res.write(packet.sse);
+  } catch {}
+}
+
+function sseWrite(client, packet) {
+  // while a client is still replaying history, park live events so ordering holds
+  if (client.queue) {
+    client.queue.push(packet);
+    return;
+  }
+  sseSend(client, packet);
+}
+
+function sseBroadcast(event, dataObj, id) {
+  const packet = sseEvent(event, dataObj, id);
+  for (const client of sseClients) sseWrite(client, packet);
+}
+
+// a channel is anything with a room_id or a conversation_id (a message, for one)
+function canSeeChannel(client, channel) {
+  if (channel.conversation_id != null) return client.conversations.has(channel.conversation_id);
+  return client.rooms.has(channel.room_id);
+}
+
+function sseToChannel(channel, event, dataObj, id) {
+  const packet = sseEvent(event, dataObj, id);
+  for (const client of sseClients) {
+    if (canSeeChannel(client, channel)) sseWrite(client, packet);
+  }
+}
+
+function sseToUser(username, event, dataObj) {
+  const packet = sseEvent(event, dataObj);
+  for (const client of sseClients) {
+    if (client.username === username) sseWrite(client, packet);
+  }
+}
+
+function sseToStaff(event, dataObj) {
+  const packet = sseEvent(event, dataObj);
+  for (const client of sseClients) {
+    if (roleRank(client.role) >= ROLE_RANK.moderator) sseWrite(client, packet);
+  }
+}
+
+// 4001 tells a WebSocket client to re-check its session rather than just reconnect
+const WS_CLOSE_SIGNED_OUT = 4001;
+
+// ends matching streams; their reconnect then fails auth and the client falls back to sign-in
+function sseDisconnect(match) {
+  for (const client of sseClients) {
+    if (!match(client)) continue;
+    if (client.ws) client.ws.close(WS_CLOSE_SIGNED_OUT, "Signed out");
+    else client.res.end();
   }
 }
 
+// SSE comment lines keep idle proxies from closing the stream; WebSockets get a ping
+// and are dropped if the previous one went unanswered
+setInterval(() => {
+  for (const client of sseClients) {
+    if (!client.ws) {
+      sseWrite(client, { sse: ": ping\n\n" });
+    } else if (!client.alive) {
+      client.ws.terminate();
+    } else {
+      client.alive = false;
+      try { client.ws.ping(); } catch {}
+    }
+  }
+}, SSE_HEARTBEAT_MS).unref();
+
 // ---- presence tracking (online users)
+// A user is online while they have at least one stream open. On top of that they pick a
+// status; "idle" is also set automatically when the client stops reporting activity.
+// Invisible users look offline to everyone else and their last_seen_at stays put.
+const PRESENCE_STATUSES = ["online", "idle", "dnd", "invisible"];
+const PRESENCE_IDLE_MS = 5 * 60 * 1000;
+const STATUS_TEXT_MAX = 80;
+const OFFLINE_LIST_LIMIT = 50; // most recently seen offline users sent with presence
+
 const presenceCounts = new Map(); // username -> number of active SSE connections
+const presenceState = new Map(); // username -> { status, statusText, nick, activeAt, idle }, while connected
+
+// what everyone else sees: online / idle / dnd / offline
+function visibleStatus(username) {
+  const state = presenceState.get(username);
+  if (!presenceCounts.has(username) || !state || state.status === "invisible") return "offline";
+  if (state.status === "dnd") return "dnd";
+  if (state.status === "idle" || state.idle) return "idle";
+  return "online";
+}
+
+function isVisiblyOnline(username) {
+  return visibleStatus(username) !== "offline";
+}
 
 function getOnlineUsers() {
-  return Array.from(presenceCounts.keys()).sort((a, b) => a.localeCompare(b));
+  return Array.from(presenceCounts.keys()).filter(isVisiblyOnline).sort((a, b) => a.localeCompare(b));
+}
+
+// { online: [username], users: [{ username, nick, status, status_text, last_seen_at }] }, offline users last
+async function presenceSnapshot() {
+  const online = getOnlineUsers();
+  const users = online.map(username => ({
+    username,
+    nick: presenceState.get(username).nick || null,
+    status: visibleStatus(username),
+    status_text: presenceState.get(username).statusText,
+    last_seen_at: null
+  }));
+  const seen = await dbAll(
+    `SELECT username, nick, last_seen_at FROM users WHERE last_seen_at IS NOT NULL ORDER BY last_seen_at DESC LIMIT ?`,
+    [OFFLINE_LIST_LIMIT + online.length]
+  );
+  const onlineSet = new Set(online);
+  for (const r of seen.filter(r => !onlineSet.has(r.username)).slice(0, OFFLINE_LIST_LIMIT)) {
+    users.push({ username: r.username, nick: r.nick || null, status: "offline", status_text: "", last_seen_at: r.last_seen_at });
+  }
+  return { online, users };
+}
+
+// changes often come in bursts (a page reload closes and opens a stream): send one update
+let presenceTimer = null;
+function broadcastPresence() {
+  if (presenceTimer) return;
+  presenceTimer = setTimeout(async () => {
+    presenceTimer = null;
+    try {
+      sseBroadcast("presence", await presenceSnapshot());
+    } catch (e) {
+      console.error("presence broadcast error", e);
+    }
+  }, 250);
+  presenceTimer.unref();
+}
+
+// called before the first stream of a user opens
+async function loadPresence(username) {
+  if (presenceState.has(username)) return;
+  const row = await dbGet(`SELECT status, status_text, nick FROM users WHERE username = ?`, [username]);
+  if (presenceState.has(username)) return;
+  presenceState.set(username, {
+    status: PRESENCE_STATUSES.includes(row?.status) ? row.status : "online",
+    statusText: row?.status_text || "",
+    nick: row?.nick || "",
+    activeAt: Date.now(),
+    idle: false
+  });
 }
 
 function presenceInc(username) {
@@ -191,7 +1005,8 @@ function presenceInc(username) {
   presenceCounts.set(username, n + 1);
   if (n === 0) {
     // user just came online
-    sseBroadcast("presence", { online: getOnlineUsers() });
+    presenceActive(username);
+    broadcastPresence();
   }
 }
 
@@ -199,17 +1014,163 @@ function presenceDec(username) {
   const n = presenceCounts.get(username) || 0;
   if (n <= 1) {
     if (presenceCounts.has(username)) presenceCounts.delete(username);
+    const state = presenceState.get(username);
+    presenceState.delete(username);
     // user went offline
-    sseBroadcast("presence", { online: getOnlineUsers() });
+    if (state?.status !== "invisible") {
+      dbRun(`UPDATE users SET last_seen_at = ? WHERE username = ?`, [new Date().toISOString(), username])
+        .catch(e => console.error("last seen error", e))
+        .then(broadcastPresence);
+    } else {
+      broadcastPresence();
+    }
   } else {
     presenceCounts.set(username, n - 1);
   }
 }
 
+function presenceRename(from, to) {
+  const n = presenceCounts.get(from);
+  if (!n) return;
+  presenceCounts.delete(from);
+  presenceCounts.set(to, n);
+  const state = presenceState.get(from);
+  presenceState.delete(from);
+  if (state) presenceState.set(to, state);
+  broadcastPresence();
+}
 
-// ---- API
-app.post("/api/register", async (req, res) => {
-  try {
+// the user did something: clears automatic idle
+function presenceActive(username) {
+  const state = presenceState.get(username);
+  if (!state) return;
+  state.activeAt = Date.now();
+  if (state.idle) {
+    state.idle = false;
+    broadcastPresence();
+  }
+}
+
+setInterval(() => {
+  for (const [username, state] of presenceState) {
+    if (!state.idle && Date.now() - state.activeAt > PRESENCE_IDLE_MS) {
+      state.idle = true;
+      if (presenceCounts.has(username)) broadcastPresence();
+    }
+  }
+}, 30 * 1000).unref();
+
+// ---- rate limiting
+// Token buckets keyed by strings like "login:ip:1.2.3.4". A store only needs
+// get/set/delete/entries, so a shared store can replace the in-memory Map
+// when running more than one instance.
+function createMemoryStore() {
+  return new Map();
+}
+
+function createRateLimiter({ capacity, refillPerSec, store = createMemoryStore() }) {
+  function take(key, cost = 1) {
+    const now = Date.now();
+    const b = store.get(key);
+    const tokens = b ? Math.min(capacity, b.tokens + ((now - b.at) / 1000) * refillPerSec) : capacity;
+    if (tokens < cost) {
+      store.set(key, { tokens, at: now });
+      return { ok: false, retryAfter: Math.ceil((cost - tokens) / refillPerSec) };
+    }
+    store.set(key, { tokens: tokens - cost, at: now });
+    return { ok: true, retryAfter: 0 };
+  }
+
+  // forget buckets that have refilled completely
+  function sweep() {
+    const now = Date.now();
+    for (const [key, b] of store.entries()) {
+      if (b.tokens + ((now - b.at) / 1000) * refillPerSec >= capacity) store.delete(key);
+    }
+  }
+
+  return { take, sweep };
+}
+
+const authLimiter = createRateLimiter({ capacity: RATE_AUTH_BURST, refillPerSec: RATE_AUTH_PER_MIN / 60 });
+const registerLimiter = createRateLimiter({ capacity: RATE_AUTH_BURST, refillPerSec: RATE_REGISTER_PER_HOUR / 3600 });
+const postLimiter = createRateLimiter({ capacity: RATE_POST_BURST, refillPerSec: RATE_POST_PER_MIN / 60 });
+
+function tooManyRequests(res, seconds) {
+  res.setHeader("Retry-After", String(seconds));
+  res.status(429).json({ error: `Too many requests. Try again in ${seconds}s.`, retry_after: seconds });
+}
+
+const ipKey = req => `ip:${req.ip}`;
+const bodyUserKey = req => {
+  const u = normalizeUsername(req.body?.username).toLowerCase();
+  return u ? `user:${u}` : null;
+};
+const authUserKey = req => (req.user ? `user:${req.user.username}` : null);
+
+// every key (e.g. the IP and the username) must have a token left
+function rateLimit(limiter, name, ...keyFns) {
+  return (req, res, next) => {
+    let retryAfter = 0;
+    for (const keyFn of keyFns) {
+      const key = keyFn(req);
+      if (!key) continue;
+      const r = limiter.take(`${name}:${key}`);
+      if (!r.ok) retryAfter = Math.max(retryAfter, r.retryAfter);
+    }
+    if (retryAfter) return tooManyRequests(res, retryAfter);
+    next();
+  };
+}
+
+const limitLogin = rateLimit(authLimiter, "login", ipKey, bodyUserKey);
+const limitRegister = rateLimit(registerLimiter, "register", ipKey, bodyUserKey);
+const limitPosting = rateLimit(postLimiter, "post", authUserKey, ipKey);
+const limitReauth = rateLimit(authLimiter, "reauth", authUserKey, ipKey);
+
+// progressive lockout after repeated wrong passwords, per username and per IP
+const loginFailures = new Map(); // key -> { count, lockedUntil, at }
+// unknown names are checked against this, so they take as long to refuse as a wrong password
+const DUMMY_PASS_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+function loginLockSeconds(keys) {
+  const now = Date.now();
+  let ms = 0;
+  for (const key of keys) {
+    const f = loginFailures.get(key);
+    if (f && f.lockedUntil > now) ms = Math.max(ms, f.lockedUntil - now);
+  }
+  return Math.ceil(ms / 1000);
+}
+
+function recordLoginFailure(keys) {
+  const now = Date.now();
+  for (const key of keys) {
+    const f = loginFailures.get(key) || { count: 0, lockedUntil: 0, at: now };
+    f.count += 1;
+    f.at = now;
+    if (f.count >= LOGIN_LOCKOUT_THRESHOLD) {
+      const seconds = Math.min(
+        LOGIN_LOCKOUT_MAX_SECONDS,
+        LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (f.count - LOGIN_LOCKOUT_THRESHOLD)
+      );
+      f.lockedUntil = now + seconds * 1000;
+    }
+    loginFailures.set(key, f);
+  }
+}
+
+setInterval(() => {
+  for (const limiter of [authLimiter, registerLimiter, postLimiter]) limiter.sweep();
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  for (const [key, f] of loginFailures) {
+    if (f.at < dayAgo && f.lockedUntil < Date.now()) loginFailures.delete(key);
+  }
+}, 60_000).unref();
+
+// ---- API
+app.post("/api/register", limitRegister, async (req, res) => {
+  try {
     const username = normalizeUsername(req.body?.username);
     const password = req.body?.password;
 
@@ -224,12 +1185,17 @@ app.post("/api/register", async (req, res) => {
     if (existing) return res.status(409).json({ error: "Username already exists" });
 
     const pass_hash = await bcrypt.hash(password, 10);
+    const now = new Date().toISOString();
     await dbRun(
       `INSERT INTO users (username, pass_hash, created_at) VALUES (?, ?, ?)`,
-      [username, pass_hash, new Date().toISOString()]
+      [username, pass_hash, now]
+    );
+    await dbRun(
+      `INSERT OR IGNORE INTO room_members (room_id, username, joined_at) VALUES (?, ?, ?)`,
+      [DEFAULT_ROOM_ID, username, now]
     );
 
-    await createSession(username, res);
+    await createSession(req, res, username);
     res.json({ ok: true, username });
   } catch (e) {
     console.error("register error", e);
@@ -237,7 +1203,7 @@ app.post("/api/register", async (req, res) => {
   }
 });
 
-app.post("/api/login", async (req, res) => {
+app.post("/api/login", limitLogin, async (req, res) => {
   try {
     const username = normalizeUsername(req.body?.username);
     const password = req.body?.password;
@@ -246,13 +1212,21 @@ app.post("/api/login", async (req, res) => {
       return res.status(400).json({ error: "Invalid username or password" });
     }
 
-    const user = await dbGet(`SELECT username, pass_hash FROM users WHERE username = ?`, [username]);
-    if (!user) return res.status(401).json({ error: "Wrong username or password" });
+    const failureKeys = [ipKey(req), `user:${username.toLowerCase()}`];
+    const locked = loginLockSeconds(failureKeys);
+    if (locked) return tooManyRequests(res, locked);
 
-    const ok = await bcrypt.compare(password, user.pass_hash);
-    if (!ok) return res.status(401).json({ error: "Wrong username or password" });
+    // unknown users count as failures too, so lockouts don't reveal which names exist
+    const user = await dbGet(`SELECT username, pass_hash, banned_at FROM users WHERE username = ?`, [username]);
+    const ok = await bcrypt.compare(password, user ? user.pass_hash : DUMMY_PASS_HASH) && !!user;
+    if (!ok) {
+      recordLoginFailure(failureKeys);
+      return res.status(401).json({ error: "Wrong username or password" });
+    }
+    for (const key of failureKeys) loginFailures.delete(key);
+    if (user.banned_at) return res.status(403).json({ error: "This account is banned" });
 
-    await createSession(username, res);
+    await createSession(req, res, username);
     res.json({ ok: true, username });
   } catch (e) {
     console.error("login error", e);
@@ -260,9 +1234,9 @@ app.post("/api/login", async (req, res) => {
   }
 });
 
-app.post("/api/logout", requireAuth, async (req, res) => {
+app.post("/api/logout", requireAuth, requireSession, async (req, res) => {
   try {
-    await dbRun(`DELETE FROM sessions WHERE token = ?`, [req.user.token]);
+    await revokeSessions([req.user.token]);
     clearAuthCookie(res);
     res.json({ ok: true });
   } catch (e) {
@@ -271,100 +1245,3860 @@ app.post("/api/logout", requireAuth, async (req, res) => {
   }
 });
 
-app.get("/api/me", requireAuth, async (req, res) => {
-  res.json({ ok: true, username: req.user.username });
+// ---- sessions (signed-in devices)
+app.get("/api/sessions", requireAuth, requireSession, async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT token, user_agent, ip, created_at, last_seen_at, expires_at
+       FROM sessions WHERE username = ? AND expires_at > ?
+       ORDER BY last_seen_at DESC`,
+      [req.user.username, new Date().toISOString()]
+    );
+    const sessions = rows.map(({ token, ...s }) => ({
+      id: sessionId(token),
+      ...s,
+      current: token === req.user.token
+    }));
+    res.json({ ok: true, sessions });
+  } catch (e) {
+    console.error("sessions list error", e);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
-app.get("/api/online", requireAuth, async (req, res) => {
-  res.json({ ok: true, online: getOnlineUsers() });
+async function revokeSessions(tokens) {
+  for (const token of tokens) {
+    await dbRun(`DELETE FROM sessions WHERE token = ?`, [token]);
+  }
+  const revoked = new Set(tokens);
+  sseDisconnect(client => revoked.has(client.token));
+}
+
+app.delete("/api/sessions/:id", requireAuth, requireSession, async (req, res) => {
+  try {
+    const rows = await dbAll(`SELECT token FROM sessions WHERE username = ?`, [req.user.username]);
+    const session = rows.find(s => sessionId(s.token) === req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    await revokeSessions([session.token]);
+    if (session.token === req.user.token) clearAuthCookie(res);
+    res.json({ ok: true, current: session.token === req.user.token });
+  } catch (e) {
+    console.error("session revoke error", e);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
-app.get("/api/messages", requireAuth, async (req, res) => {
+// log out everywhere; ?keep_current=1 signs out only the other devices
+app.delete("/api/sessions", requireAuth, requireSession, async (req, res) => {
   try {
-    const since = Number(req.query.since || 0);
-    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const keepCurrent = req.query.keep_current === "1";
+    const rows = await dbAll(`SELECT token FROM sessions WHERE username = ?`, [req.user.username]);
+    const tokens = rows.map(s => s.token).filter(t => !(keepCurrent && t === req.user.token));
+    await revokeSessions(tokens);
+    if (!keepCurrent) clearAuthCookie(res);
+    res.json({ ok: true, revoked: tokens.length });
+  } catch (e) {
+    console.error("sessions revoke error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- API tokens (personal, or for bot accounts when you're an admin)
+const API_TOKEN_NAME_MAX = 64;
+const MAX_API_TOKENS = 20; // per user or bot
+
+const API_TOKEN_COLUMNS = `id, username, name, prefix, scopes, created_by, created_at, last_used_at`;
+
+function apiTokenJson(row) {
+  return { ...row, scopes: row.scopes.split(" ") };
+}
+
+function newSecret(prefix) {
+  const secret = `${prefix}${crypto.randomBytes(24).toString("base64url")}`;
+  return { secret, hash: tokenHash(secret), prefix: secret.slice(0, prefix.length + 6) };
+}
+
+async function isBot(username) {
+  const row = await dbGet(`SELECT is_bot FROM users WHERE username = ?`, [username]);
+  return !!row?.is_bot;
+}
+
+async function revokeApiTokens(ids) {
+  for (const id of ids) {
+    await dbRun(`DELETE FROM api_tokens WHERE id = ?`, [id]);
+  }
+  const revoked = new Set(ids);
+  sseDisconnect(client => revoked.has(client.apiTokenId));
+}
+
+// yours, plus every bot's for admins
+app.get("/api/tokens", requireAuth, requireSession, async (req, res) => {
+  try {
+    const admin = roleRank(req.user.role) >= ROLE_RANK.admin;
     const rows = await dbAll(
-      `SELECT id, username, text, created_at FROM messages WHERE id > ? ORDER BY id ASC LIMIT ?`,
-      [since, limit]
+      `SELECT ${API_TOKEN_COLUMNS} FROM api_tokens
+       WHERE username = ? OR (? AND username IN (SELECT username FROM users WHERE is_bot = 1))
+       ORDER BY id DESC`,
+      [req.user.username, admin ? 1 : 0]
     );
-    res.json({ ok: true, messages: rows });
+    res.json({ ok: true, tokens: rows.map(apiTokenJson), scopes: API_TOKEN_SCOPES });
   } catch (e) {
-    console.error("messages get error", e);
+    console.error("tokens list error", e);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-function sanitizeText(s) {
-  if (typeof s !== "string") return "";
-  // keep it simple: strip control chars, trim, cap length
-  return s.replace(/[\u0000-\u001F\u007F]/g, "").trim().slice(0, 500);
+// { name, scopes, bot? }; the token itself is only in this response
+app.post("/api/tokens", requireAuth, requireSession, limitReauth, async (req, res) => {
+  try {
+    const name = sanitizeText(req.body?.name).slice(0, API_TOKEN_NAME_MAX);
+    if (!name) return res.status(400).json({ error: "Give the token a name" });
+    const scopes = Array.isArray(req.body?.scopes) ? [...new Set(req.body.scopes)] : [];
+    if (!scopes.length || !scopes.every(s => API_TOKEN_SCOPES.includes(s))) {
+      return res.status(400).json({ error: `Scopes must be some of: ${API_TOKEN_SCOPES.join(", ")}` });
+    }
+
+    let username = req.user.username;
+    if (req.body?.bot != null) {
+      if (roleRank(req.user.role) < ROLE_RANK.admin) return res.status(403).json({ error: "Not allowed" });
+      username = normalizeUsername(req.body.bot);
+      if (!(await isBot(username))) return res.status(404).json({ error: "Bot not found" });
+    }
+    // the moderation API checks the role too; don't hand out a scope that could never apply
+    const owner = await dbGet(`SELECT role FROM users WHERE username = ?`, [username]);
+    if (scopes.includes("admin") && roleRank(owner.role) < ROLE_RANK.moderator) {
+      return res.status(400).json({ error: "Only moderators and up can use the admin scope" });
+    }
+    const count = await dbGet(`SELECT COUNT(*) AS n FROM api_tokens WHERE username = ?`, [username]);
+    if (count.n >= MAX_API_TOKENS) return res.status(409).json({ error: `At most ${MAX_API_TOKENS} tokens per account` });
+
+    const { secret, hash, prefix } = newSecret(API_TOKEN_PREFIX);
+    const result = await dbRun(
+      `INSERT INTO api_tokens (username, name, token_hash, prefix, scopes, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [username, name, hash, prefix, scopes.join(" "), req.user.username, new Date().toISOString()]
+    );
+    const row = await dbGet(`SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE id = ?`, [result.lastID]);
+    res.json({ ok: true, token: apiTokenJson(row), secret });
+  } catch (e) {
+    console.error("token create error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/tokens/:id", requireAuth, requireSession, async (req, res) => {
+  try {
+    const row = await dbGet(`SELECT id, username FROM api_tokens WHERE id = ?`, [Number(req.params.id)]);
+    const allowed = row && (row.username === req.user.username ||
+      (roleRank(req.user.role) >= ROLE_RANK.admin && (await isBot(row.username))));
+    if (!allowed) return res.status(404).json({ error: "Token not found" });
+    await revokeApiTokens([row.id]);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("token revoke error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- account self-service
+// every column that names a user; renames rewrite them all, deletion anonymizes or removes
+const USERNAME_COLUMNS = [
+  ["sessions", "username"],
+  ["messages", "username"],
+  ["room_members", "username"],
+  ["conversation_participants", "username"],
+  ["reactions", "username"],
+  ["attachments", "uploader"],
+  ["reports", "reporter"],
+  ["reports", "resolved_by"],
+  ["held_messages", "username"],
+  ["held_messages", "reviewed_by"],
+  ["mod_actions", "actor"],
+  ["mod_actions", "target"],
+  ["rooms", "created_by"],
+  ["conversations", "created_by"],
+  ["read_state", "username"],
+  ["mentions", "username"],
+  ["api_tokens", "username"],
+  ["api_tokens", "created_by"],
+  ["incoming_webhooks", "username"],
+  ["incoming_webhooks", "created_by"],
+  ["outgoing_webhooks", "created_by"],
+  ["bot_commands", "username"]
+];
+// brackets aren't allowed in usernames, so this can never collide with a real account
+const DELETED_USERNAME = "[deleted]";
+
+// changing who you are needs your password again, not just a session cookie
+async function checkPassword(req, res, password) {
+  const user = await dbGet(`SELECT pass_hash FROM users WHERE username = ?`, [req.user.username]);
+  if (!user || typeof password !== "string" || !(await bcrypt.compare(password, user.pass_hash))) {
+    res.status(403).json({ error: "Wrong password" });
+    return false;
+  }
+  return true;
+}
+
+// the ADMIN_USERNAME account is recreated / re-promoted on every start, so it stays put
+function checkNotBootstrapOwner(req, res) {
+  if (ADMIN_USERNAME && req.user.username === ADMIN_USERNAME) {
+    res.status(409).json({ error: "This account is set by ADMIN_USERNAME; change it there" });
+    return false;
+  }
+  return true;
+}
+
+// a DM is found again by its sorted participant list, so that has to follow renames
+async function rekeyConversations(username, conn = db) {
+  const convs = await dbAll(
+    `SELECT conversation_id FROM conversation_participants WHERE username = ?`,
+    [username],
+    conn
+  );
+  for (const { conversation_id: id } of convs) {
+    const participants = await dbAll(
+      `SELECT username FROM conversation_participants WHERE conversation_id = ?`,
+      [id],
+      conn
+    );
+    const key = participants.map(p => p.username).sort().join("\n");
+    await dbRun(`UPDATE conversations SET key = ? WHERE id = ?`, [key, id], conn);
+  }
 }
 
-app.post("/api/messages", requireAuth, async (req, res) => {
+app.post("/api/account/password", requireAuth, requireSession, limitReauth, async (req, res) => {
   try {
-    const text = sanitizeText(req.body?.text);
-    if (!text) return res.status(400).json({ error: "Empty message" });
+    if (!(await checkPassword(req, res, req.body?.current_password))) return;
+    const password = req.body?.new_password;
+    if (!validatePassword(password)) return res.status(400).json({ error: "Invalid password" });
+
+    await dbRun(`UPDATE users SET pass_hash = ? WHERE username = ?`, [await bcrypt.hash(password, 10), req.user.username]);
+    // anyone holding an old session shouldn't outlive the password change
+    const others = await dbAll(
+      `SELECT token FROM sessions WHERE username = ? AND token != ?`,
+      [req.user.username, req.user.token]
+    );
+    await revokeSessions(others.map(s => s.token));
+    res.json({ ok: true, revoked: others.length });
+  } catch (e) {
+    console.error("password change error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/account/username", requireAuth, requireSession, limitReauth, async (req, res) => {
+  try {
+    const from = req.user.username;
+    const to = normalizeUsername(req.body?.username);
+    if (!validateUsername(to)) return res.status(400).json({ error: "Invalid username" });
+    if (to === from) return res.json({ ok: true, username: to });
+    if (!checkNotBootstrapOwner(req, res)) return;
+    if (!(await checkPassword(req, res, req.body?.password))) return;
+
+    const taken = await dbGet(`SELECT username FROM users WHERE username = ?`, [to]);
+    if (taken) return res.status(409).json({ error: "Username already exists" });
+    // all or nothing: a half-done rename splits the account's rows between two names
+    const renamed = await dbTransaction(async (tx) => {
+      try {
+        await dbRun(`UPDATE users SET username = ? WHERE username = ?`, [to, from], tx);
+      } catch (e) {
+        if (e.code === "SQLITE_CONSTRAINT") return false;
+        throw e;
+      }
+      for (const [table, column] of USERNAME_COLUMNS) {
+        await dbRun(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [to, from], tx);
+      }
+      await rekeyConversations(to, tx);
+      return true;
+    });
+    if (!renamed) return res.status(409).json({ error: "Username already exists" });
+    await logModAction(to, "rename", { target: from });
+
+    for (const client of sseClients) {
+      if (client.username === from) client.username = to;
+    }
+    presenceRename(from, to);
+    sseBroadcast("user_renamed", { from, to });
+    res.json({ ok: true, username: to });
+  } catch (e) {
+    console.error("rename error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// messages: "anonymize" keeps them under DELETED_USERNAME, "remove" leaves tombstones
+app.delete("/api/account", requireAuth, requireSession, limitReauth, async (req, res) => {
+  try {
+    const mode = req.body?.messages;
+    if (mode !== "anonymize" && mode !== "remove") {
+      return res.status(400).json({ error: "Choose whether to anonymize or remove your messages" });
+    }
+    if (!checkNotBootstrapOwner(req, res)) return;
+    if (!(await checkPassword(req, res, req.body?.password))) return;
+    const username = req.user.username;
+
+    // all or nothing, so a failure can't leave half an account behind; files and live
+    // connections go once it's committed
+    const { files, sessions } = await dbTransaction(async (tx) => {
+      let files;
+      if (mode === "remove") {
+        const now = new Date().toISOString();
+        files = await dbAll(`SELECT id, stored_name FROM attachments WHERE uploader = ?`, [username], tx);
+        await dbRun(
+          `UPDATE messages SET text = '', deleted_at = ?, preview_id = NULL WHERE username = ? AND deleted_at IS NULL`,
+          [now, username],
+          tx
+        );
+      } else {
+        // uploads nobody attached yet go either way
+        files = await dbAll(
+          `SELECT id, stored_name FROM attachments WHERE uploader = ? AND message_id IS NULL`,
+          [username],
+          tx
+        );
+      }
+      for (const a of files) await dbRun(`DELETE FROM attachments WHERE id = ?`, [a.id], tx);
+      await dbRun(`UPDATE messages SET username = ? WHERE username = ?`, [DELETED_USERNAME, username], tx);
+      await dbRun(`UPDATE attachments SET uploader = ? WHERE uploader = ?`, [DELETED_USERNAME, username], tx);
+      // (message_id, reporter) is unique, so a second deleted reporter on the same message is dropped
+      await dbRun(`UPDATE OR IGNORE reports SET reporter = ? WHERE reporter = ?`, [DELETED_USERNAME, username], tx);
+      await dbRun(`DELETE FROM reports WHERE reporter = ?`, [username], tx);
+      await dbRun(`DELETE FROM held_messages WHERE username = ? AND status = 'pending'`, [username], tx);
+      for (const table of ["rooms", "conversations", "api_tokens", "incoming_webhooks", "outgoing_webhooks"]) {
+        await dbRun(`UPDATE ${table} SET created_by = ? WHERE created_by = ?`, [DELETED_USERNAME, username], tx);
+      }
+      // the moderation record stays, but mustn't name whoever registers the name next
+      for (const [table, column] of [["reports", "resolved_by"], ["held_messages", "reviewed_by"],
+        ["mod_actions", "actor"], ["mod_actions", "target"]]) {
+        await dbRun(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [DELETED_USERNAME, username], tx);
+      }
+
+      // DMs stay with the other participants; the key changes so a new "username" can't reopen them
+      const convs = await dbAll(
+        `SELECT conversation_id FROM conversation_participants WHERE username = ?`,
+        [username],
+        tx
+      );
+      for (const { conversation_id: id } of convs) {
+        await dbRun(`UPDATE conversations SET key = ? WHERE id = ?`, [`${DELETED_USERNAME}:${id}`, id], tx);
+      }
+      for (const table of ["reactions", "room_members", "conversation_participants", "read_state", "mentions", "api_tokens"]) {
+        await dbRun(`DELETE FROM ${table} WHERE username = ?`, [username], tx);
+      }
+      const sessions = await dbAll(`SELECT token FROM sessions WHERE username = ?`, [username], tx);
+      await dbRun(`DELETE FROM sessions WHERE username = ?`, [username], tx);
+      await dbRun(`DELETE FROM users WHERE username = ?`, [username], tx);
+      return { files, sessions };
+    });
+    for (const a of files) await fs.promises.unlink(path.join(UPLOAD_DIR, a.stored_name)).catch(() => {});
+    const revoked = new Set(sessions.map(s => s.token));
+    sseDisconnect(client => revoked.has(client.token));
+
+    sseBroadcast("user_renamed", { from: username, to: DELETED_USERNAME, removed: mode === "remove" });
+    clearAuthCookie(res);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("account delete error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/me", requireAuth, async (req, res) => {
+  try {
+    const row = await dbGet(`SELECT status, status_text, nick FROM users WHERE username = ?`, [req.user.username]);
+    res.json({
+      ok: true,
+      username: req.user.username,
+      nick: row.nick || null,
+      role: req.user.role,
+      muted_until: req.user.mutedUntil,
+      status: row.status,
+      status_text: row.status_text,
+      edit_window_seconds: MESSAGE_EDIT_WINDOW_MS / 1000,
+      max_message_length: MESSAGE_MAX_LENGTH
+    });
+  } catch (e) {
+    console.error("me error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/online", requireAuth, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await presenceSnapshot()) });
+  } catch (e) {
+    console.error("online error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { status?, status_text?, active? }: pick a status, set the custom text, or report activity
+app.post("/api/presence", requireAuth, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const updates = {};
+    if (req.body?.status !== undefined) {
+      if (!PRESENCE_STATUSES.includes(req.body.status)) return res.status(400).json({ error: "Invalid status" });
+      updates.status = req.body.status;
+    }
+    if (req.body?.status_text !== undefined) {
+      const raw = typeof req.body.status_text === "string" ? req.body.status_text : "";
+      const verdict = applyContentFilter(sanitizeText(raw).slice(0, STATUS_TEXT_MAX));
+      if (verdict.action === "reject" || verdict.action === "hold") {
+        return res.status(400).json({ error: "That status contains blocked words" });
+      }
+      updates.status_text = verdict.text;
+    }
+
+    const row = await dbGet(`SELECT status, status_text FROM users WHERE username = ?`, [username]);
+    const next = { status: row.status, status_text: row.status_text, ...updates };
+    if (Object.keys(updates).length) {
+      const goingInvisible = next.status === "invisible" && row.status !== "invisible";
+      await dbRun(
+        `UPDATE users SET status = ?, status_text = ?${goingInvisible ? ", last_seen_at = ?" : ""} WHERE username = ?`,
+        goingInvisible
+          ? [next.status, next.status_text, new Date().toISOString(), username]
+          : [next.status, next.status_text, username]
+      );
+      const state = presenceState.get(username);
+      if (state) {
+        state.status = next.status;
+        state.statusText = next.status_text;
+      }
+      broadcastPresence();
+    }
+    if (req.body?.active === true) presenceActive(username);
+    res.json({ ok: true, status: next.status, status_text: next.status_text });
+  } catch (e) {
+    console.error("presence update error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- rooms
+const ROOM_COLUMNS = `r.id, r.name, r.topic, r.created_by, r.created_at,
+  (SELECT COUNT(*) FROM room_members m WHERE m.room_id = r.id) AS member_count`;
+
+async function getRoomForUser(roomId, username) {
+  return dbGet(
+    `SELECT ${ROOM_COLUMNS},
+       EXISTS (SELECT 1 FROM room_members m WHERE m.room_id = r.id AND m.username = ?) AS joined
+     FROM rooms r WHERE r.id = ?`,
+    [username, roomId]
+  );
+}
+
+// resolves :id to req.room; 404 for unknown rooms, 403 unless the user has joined
+async function requireRoomMember(req, res, next) {
+  try {
+    const roomId = Number(req.params.id);
+    const room = Number.isSafeInteger(roomId) ? await getRoomForUser(roomId, req.user.username) : null;
+    if (!room) return res.status(404).json({ error: "Room not found" });
+    if (!room.joined) return res.status(403).json({ error: "Join the room first" });
+    req.room = room;
+    next();
+  } catch (e) {
+    console.error("room lookup error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// keep every open stream of this user in sync with their memberships
+function setClientRoom(username, roomId, joined) {
+  for (const client of sseClients) {
+    if (client.username !== username) continue;
+    if (joined) client.rooms.add(roomId);
+    else client.rooms.delete(roomId);
+  }
+}
+
+app.get("/api/rooms", requireAuth, async (req, res) => {
+  try {
+    const rows = await dbAll(
+      `SELECT ${ROOM_COLUMNS},
+         EXISTS (SELECT 1 FROM room_members m WHERE m.room_id = r.id AND m.username = ?) AS joined
+       FROM rooms r ORDER BY r.id = ? DESC, r.name COLLATE NOCASE ASC`,
+      [req.user.username, DEFAULT_ROOM_ID]
+    );
+    res.json({ ok: true, rooms: rows.map(r => ({ ...r, joined: !!r.joined })) });
+  } catch (e) {
+    console.error("rooms get error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/rooms", requireAuth, async (req, res) => {
+  try {
+    const name = normalizeUsername(req.body?.name);
+    const topic = sanitizeText(req.body?.topic).slice(0, 120);
+    if (!validateRoomName(name)) return res.status(400).json({ error: "Invalid room name" });
+
+    const existing = await dbGet(`SELECT id FROM rooms WHERE name = ?`, [name]);
+    if (existing) return res.status(409).json({ error: "Room already exists" });
 
     const now = new Date().toISOString();
     const result = await dbRun(
-      `INSERT INTO messages (username, text, created_at) VALUES (?, ?, ?)`,
-      [req.user.username, text, now]
+      `INSERT INTO rooms (name, topic, created_by, created_at) VALUES (?, ?, ?, ?)`,
+      [name, topic, req.user.username, now]
+    );
+    await dbRun(
+      `INSERT INTO room_members (room_id, username, joined_at) VALUES (?, ?, ?)`,
+      [result.lastID, req.user.username, now]
     );
+    setClientRoom(req.user.username, result.lastID, true);
 
-    const msg = { id: result.lastID, username: req.user.username, text, created_at: now };
-    // broadcast to realtime listeners
-    sseBroadcast("message", msg);
+    const room = await getRoomForUser(result.lastID, req.user.username);
+    const { joined, ...publicRoom } = room;
+    sseBroadcast("room", { action: "created", room: publicRoom });
+    res.json({ ok: true, room: { ...room, joined: true } });
+  } catch (e) {
+    console.error("rooms post error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    res.json({ ok: true, message: msg });
+app.post("/api/rooms/:id/join", requireAuth, async (req, res) => {
+  try {
+    const roomId = Number(req.params.id);
+    const room = Number.isSafeInteger(roomId) ? await getRoomForUser(roomId, req.user.username) : null;
+    if (!room) return res.status(404).json({ error: "Room not found" });
+
+    if (!room.joined) {
+      await dbRun(
+        `INSERT OR IGNORE INTO room_members (room_id, username, joined_at) VALUES (?, ?, ?)`,
+        [room.id, req.user.username, new Date().toISOString()]
+      );
+      setClientRoom(req.user.username, room.id, true);
+      room.member_count += 1;
+    }
+    const joinedRoom = { ...room, joined: true };
+    sseToUser(req.user.username, "room", { action: "joined", room: joinedRoom });
+    res.json({ ok: true, room: joinedRoom });
   } catch (e) {
-    console.error("messages post error", e);
+    console.error("room join error", e);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// SSE stream
-app.get("/api/stream", (req, res) => {
-  const user =
-    req.query.user ||
-    "Guest-" + Math.random().toString(36).slice(2, 7);
-
-  KNOWN_USERS.add(user);
-  onlineUsers.add(user);
-  sseBroadcast("presence", {
-    users: Array.from(KNOWN_USERS).map((u) => ({
-      name: u,
-      online: onlineUsers.has(u),
-    })),
-  });
+app.post("/api/rooms/:id/leave", requireAuth, requireRoomMember, async (req, res) => {
+  try {
+    if (req.room.id === DEFAULT_ROOM_ID) {
+      return res.status(400).json({ error: "You can't leave the default room" });
+    }
+    await dbRun(`DELETE FROM room_members WHERE room_id = ? AND username = ?`, [req.room.id, req.user.username]);
+    setClientRoom(req.user.username, req.room.id, false);
+
+    const leftRoom = { ...req.room, joined: false, member_count: req.room.member_count - 1 };
+    sseToUser(req.user.username, "room", { action: "left", room: leftRoom });
+    res.json({ ok: true, room: leftRoom });
+  } catch (e) {
+    console.error("room leave error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- direct messages
+const MAX_CONVERSATION_SIZE = 8;
+
+async function getConversationForUser(conversationId, username) {
+  const conv = await dbGet(
+    `SELECT c.id, c.created_by, c.created_at,
+       (SELECT MAX(id) FROM messages m WHERE m.conversation_id = c.id) AS last_message_id
+     FROM conversations c
+     JOIN conversation_participants p ON p.conversation_id = c.id AND p.username = ?
+     WHERE c.id = ?`,
+    [username, conversationId]
+  );
+  if (!conv) return null;
+  const rows = await dbAll(
+    `SELECT username FROM conversation_participants WHERE conversation_id = ? ORDER BY username COLLATE NOCASE`,
+    [conversationId]
+  );
+  return withParticipants(conv, rows.map(r => r.username));
+}
+
+function withParticipants(conv, usernames) {
+  return {
+    ...conv,
+    participants: usernames.map(u => ({ username: u, online: isVisiblyOnline(u) }))
+  };
+}
+
+// resolves :id to req.conversation; 404 unless the user takes part in it
+async function requireParticipant(req, res, next) {
+  try {
+    const conversationId = Number(req.params.id);
+    const conv = Number.isSafeInteger(conversationId)
+      ? await getConversationForUser(conversationId, req.user.username)
+      : null;
+    if (!conv) return res.status(404).json({ error: "Conversation not found" });
+    req.conversation = conv;
+    next();
+  } catch (e) {
+    console.error("conversation lookup error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
 
-  req.on("close", () => {
-    onlineUsers.delete(user);
-    sseBroadcast("presence", {
-      users: Array.from(KNOWN_USERS).map((u) => ({
-        name: u,
-        online: onlineUsers.has(u),
-      })),
+app.get("/api/conversations", requireAuth, async (req, res) => {
+  try {
+    const convs = await dbAll(
+      `SELECT c.id, c.created_by, c.created_at,
+         (SELECT MAX(id) FROM messages m WHERE m.conversation_id = c.id) AS last_message_id
+       FROM conversations c
+       JOIN conversation_participants p ON p.conversation_id = c.id AND p.username = ?
+       ORDER BY COALESCE(last_message_id, 0) DESC, c.id DESC`,
+      [req.user.username]
+    );
+    const rows = await dbAll(
+      `SELECT conversation_id, username FROM conversation_participants
+       WHERE conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = ?)
+       ORDER BY username COLLATE NOCASE`,
+      [req.user.username]
+    );
+    const byConv = new Map();
+    for (const r of rows) {
+      if (!byConv.has(r.conversation_id)) byConv.set(r.conversation_id, []);
+      byConv.get(r.conversation_id).push(r.username);
+    }
+    res.json({
+      ok: true,
+      conversations: convs.map(c => withParticipants(c, byConv.get(c.id) || []))
     });
-  });
+  } catch (e) {
+    console.error("conversations get error", e);
+    res.status(500).json({ error: "Server error" });
+  }
 });
-app.use(express.static(path.join(__dirname, "public"), {
-  etag: true,
-  maxAge: "1h",
-  setHeaders(res, filePath) {
-    if (filePath.endsWith(".html")) {
-      // avoid stale HTML
-      res.setHeader("Cache-Control", "no-cache");
+
+// start (or reopen) a DM; body: { usernames: [...] } or { username }
+app.post("/api/conversations", requireAuth, async (req, res) => {
+  try {
+    const requested = Array.isArray(req.body?.usernames) ? req.body.usernames : [req.body?.username];
+    const others = [...new Set(requested.map(normalizeUsername))].filter(u => u !== req.user.username);
+    if (!others.length || !others.every(validateUsername)) {
+      return res.status(400).json({ error: "Invalid username" });
+    }
+    if (others.length + 1 > MAX_CONVERSATION_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_CONVERSATION_SIZE} people per conversation` });
+    }
+
+    const found = await dbAll(
+      `SELECT username FROM users WHERE username IN (${others.map(() => "?").join(", ")})`,
+      others
+    );
+    if (found.length !== others.length) return res.status(404).json({ error: "User not found" });
+
+    const participants = [req.user.username, ...others].sort();
+    const key = participants.join("\n");
+    let existing = await dbGet(`SELECT id FROM conversations WHERE key = ?`, [key]);
+    const created = !existing;
+    if (created) {
+      const now = new Date().toISOString();
+      await dbRun(
+        `INSERT OR IGNORE INTO conversations (key, created_by, created_at) VALUES (?, ?, ?)`,
+        [key, req.user.username, now]
+      );
+      existing = await dbGet(`SELECT id FROM conversations WHERE key = ?`, [key]);
+      for (const u of participants) {
+        await dbRun(
+          `INSERT OR IGNORE INTO conversation_participants (conversation_id, username, joined_at) VALUES (?, ?, ?)`,
+          [existing.id, u, now]
+        );
+      }
     }
+
+    const conv = await getConversationForUser(existing.id, req.user.username);
+    if (created) {
+      for (const client of sseClients) {
+        if (participants.includes(client.username)) client.conversations.add(conv.id);
+      }
+      for (const u of participants) sseToUser(u, "conversation", { conversation: conv });
+    }
+    res.json({ ok: true, conversation: conv });
+  } catch (e) {
+    console.error("conversations post error", e);
+    res.status(500).json({ error: "Server error" });
   }
-}));
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+// ---- content filter
+// Rules are matched against a folded copy of the text (confusables, leetspeak and accents
+// mapped to plain latin, invisible characters dropped), so "F\u200Bυ©κ" and "f u c k" both hit.
+const LEGACY_BLOCKED_TERMS = ["nigger", "nigga", "faggot", "kike", "wetback"];
+const FILTER_LISTS = { block: ["reject", "mask"], flag: ["hold"] };
+const FILTER_TERM_LENGTH = 64;
+
+const LEET = {
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+  "@": "a", "$": "s", "!": "i", "|": "l", "+": "t", "€": "e", "£": "l", "©": "c", "®": "r"
+};
+// lowercase letters from other scripts that render like latin ones
+const CONFUSABLES = {
+  "а": "a", "в": "b", "е": "e", "ё": "e", "к": "k", "м": "m", "н": "h", "о": "o", "р": "p",
+  "с": "c", "т": "t", "у": "y", "х": "x", "і": "i", "ї": "i", "ј": "j", "ѕ": "s", "ԁ": "d",
+  "ɡ": "g", "ո": "n", "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "ν": "v",
+  "ο": "o", "ρ": "p", "τ": "t", "υ": "u", "χ": "x", "ω": "w", "ß": "ss", "ø": "o", "ł": "l"
+};
+const INVISIBLE_CHARS = /[\u00AD\u034F\u200B-\u200F\u2060-\u2064\uFEFF]/;
+
+// returns the folded text plus, for each folded char, the [start, end) it came from in the original;
+// with leetSymbols off, "$" / "!" and friends stay punctuation so "link!" doesn't read as "linki"
+function filterFold(text, leetSymbols = true) {
+  let out = "";
+  const spans = [];
+  let pos = 0;
+  for (const ch of text) {
+    const start = pos;
+    pos += ch.length;
+    if (INVISIBLE_CHARS.test(ch)) continue;
+    for (const c of ch.normalize("NFKD").toLowerCase()) {
+      if (/\p{M}/u.test(c)) continue;
+      const leet = leetSymbols || /\p{N}/u.test(c) ? LEET[c] : null;
+      for (const f of CONFUSABLES[c] || leet || c) {
+        if (/[\p{L}\p{N}]/u.test(f)) {
+          out += f;
+          spans.push([start, pos]);
+        } else if (out && !out.endsWith(" ")) {
+          // any run of spaces / punctuation becomes one separator
+          out += " ";
+          spans.push([start, pos]);
+        } else if (spans.length) {
+          spans[spans.length - 1][1] = pos;
+        }
+      }
+    }
+  }
+  return { text: out, spans };
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "fuck" matches "fuuuck" and "f u c k", but not "f uck" — spacing out only counts when it's every letter
+function compileFilterRule(rule) {
+  const words = filterFold(rule.term).text.trim().split(" ").filter(Boolean);
+  if (!words.length) return null;
+  const stretch = (w) => [...w].map(c => `${escapeRegExp(c)}+`);
+  const compact = words.map(w => stretch(w).join("")).join(" ");
+  const letters = stretch(words.join(""));
+  const body = letters.length > 1 ? `(?:${compact}|${letters.join(" ")})` : compact;
+  const pattern = rule.whole_word ? `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])` : body;
+  return new RegExp(pattern, "gu");
+}
+
+let filterRules = []; // { id, term, list, action, whole_word, re }
+
+async function loadFilterRules() {
+  const rows = await dbAll(`SELECT id, term, list, action, whole_word FROM filter_rules ORDER BY id`);
+  filterRules = rows.map(r => ({ ...r, re: compileFilterRule(r) })).filter(r => r.re);
+}
+
+// the strictest matching action wins: reject > hold > mask; masking applies either way
+function applyContentFilter(text) {
+  const verdict = { action: null, text, matched: [] };
+  if (!text || !filterRules.length) return verdict;
+  const variants = [filterFold(text), filterFold(text, false)];
+  const masks = [];
+  for (const rule of filterRules) {
+    let hit = false;
+    for (const folded of variants) {
+      for (const m of folded.text.matchAll(rule.re)) {
+        hit = true;
+        if (rule.action === "mask") {
+          masks.push([folded.spans[m.index][0], folded.spans[m.index + m[0].length - 1][1]]);
+        }
+      }
+    }
+    if (!hit) continue;
+    verdict.matched.push(rule.term);
+    if (rule.action === "reject") verdict.action = "reject";
+    else if (rule.action === "hold" && verdict.action !== "reject") verdict.action = "hold";
+    else if (!verdict.action) verdict.action = "mask";
+  }
+  if (masks.length) {
+    const chars = [...text];
+    const out = [];
+    let pos = 0;
+    for (const ch of chars) {
+      const masked = !/\s/.test(ch) && masks.some(([a, b]) => pos >= a && pos < b);
+      out.push(masked ? "*" : ch);
+      pos += ch.length;
+    }
+    verdict.text = out.join("");
+  }
+  return verdict;
+}
+
+// ---- messages
+const MESSAGE_COLUMNS = `id, room_id, conversation_id, parent_id, username, text, kind, created_at, edited_at, deleted_at`;
+
+function channelFilter(channel) {
+  return channel.conversation_id != null
+    ? { sql: "conversation_id = ?", param: channel.conversation_id }
+    : { sql: "room_id = ?", param: channel.room_id };
+}
+
+// "room:1" / "dm:5", the same keys client.js uses
+function channelKey(channel) {
+  return channel.conversation_id != null ? `dm:${channel.conversation_id}` : `room:${channel.room_id}`;
+}
+
+// adds `reactions: [{ emoji, count, users }]` to each message, in first-reacted order
+async function attachReactions(messages) {
+  if (!messages.length) return messages;
+  const ids = messages.map(m => m.id);
+  const rows = await dbAll(
+    `SELECT message_id, emoji, username FROM reactions
+     WHERE message_id IN (${ids.map(() => "?").join(", ")})
+     ORDER BY created_at ASC`,
+    ids
+  );
+  const byMessage = new Map();
+  for (const r of rows) {
+    if (!byMessage.has(r.message_id)) byMessage.set(r.message_id, new Map());
+    const byEmoji = byMessage.get(r.message_id);
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, []);
+    byEmoji.get(r.emoji).push(r.username);
+  }
+  for (const m of messages) {
+    const byEmoji = byMessage.get(m.id) || new Map();
+    m.reactions = Array.from(byEmoji, ([emoji, users]) => ({ emoji, count: users.length, users }));
+  }
+  return messages;
+}
+
+const QUOTE_LENGTH = 140;
+
+// adds `reply_count` to every message and a short `parent` quote to thread replies
+async function attachThreadInfo(messages) {
+  if (!messages.length) return messages;
+  const ids = messages.map(m => m.id);
+  const counts = await dbAll(
+    `SELECT parent_id, COUNT(*) AS n FROM messages
+     WHERE parent_id IN (${ids.map(() => "?").join(", ")}) AND deleted_at IS NULL
+     GROUP BY parent_id`,
+    ids
+  );
+  const countById = new Map(counts.map(c => [c.parent_id, c.n]));
+
+  const parentIds = [...new Set(messages.map(m => m.parent_id).filter(Boolean))];
+  const parents = parentIds.length
+    ? await dbAll(
+        `SELECT id, username, text, deleted_at FROM messages WHERE id IN (${parentIds.map(() => "?").join(", ")})`,
+        parentIds
+      )
+    : [];
+  const parentById = new Map(parents.map(p => [p.id, p]));
+
+  for (const m of messages) {
+    m.reply_count = countById.get(m.id) || 0;
+    const p = m.parent_id ? parentById.get(m.parent_id) : null;
+    m.parent = p ? quoteOf(p) : null;
+  }
+  return messages;
+}
+
+function quoteOf(p) {
+  return {
+    id: p.id,
+    username: p.username,
+    text: p.deleted_at ? "" : p.text.slice(0, QUOTE_LENGTH),
+    deleted: !!p.deleted_at
+  };
+}
+
+// the quote for a thread root plus its current reply count, sent along with replies
+// so clients can update the root's "N replies" toggle
+async function threadRootInfo(rootId) {
+  const root = await dbGet(`SELECT id, username, text, deleted_at FROM messages WHERE id = ?`, [rootId]);
+  if (!root) return null;
+  const { n } = await dbGet(
+    `SELECT COUNT(*) AS n FROM messages WHERE parent_id = ? AND deleted_at IS NULL`,
+    [rootId]
+  );
+  return { ...quoteOf(root), reply_count: n };
+}
+
+// everything the API adds on top of a messages row
+async function decorateMessages(messages) {
+  await attachReactions(messages);
+  await attachThreadInfo(messages);
+  await attachAttachments(messages);
+  await attachMentions(messages);
+  await attachNicks(messages);
+  await attachPreviews(messages);
+  return messages;
+}
+
+// Three ways to page, all returning messages oldest-first:
+//   ?since=<id>   the next `limit` messages after id (forward sync / polling)
+//   ?before=<id>  the `limit` newest messages older than id (scrolling back)
+//   ?latest=1     the `limit` newest messages (initial load)
+// Backward windows also report has_more when even older messages exist.
+async function listChannelMessages(req, res, channel) {
+  try {
+    const serverTime = new Date().toISOString();
+    const since = Number(req.query.since || 0);
+    const before = Number(req.query.before || 0);
+    const latest = req.query.latest === "1" || req.query.latest === "true";
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const where = channelFilter(channel);
+
+    let rows;
+    let hasMore;
+    if (before > 0 || latest) {
+      const upper = before > 0 ? before : Number.MAX_SAFE_INTEGER;
+      const newestFirst = await dbAll(
+        `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE ${where.sql} AND id < ? ORDER BY id DESC LIMIT ?`,
+        [where.param, upper, limit + 1]
+      );
+      hasMore = newestFirst.length > limit;
+      rows = newestFirst.slice(0, limit).reverse();
+    } else {
+      rows = await dbAll(
+        `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE ${where.sql} AND id > ? ORDER BY id ASC LIMIT ?`,
+        [where.param, since, limit]
+      );
+    }
+
+    // pollers pass back the previous server_time to pick up edits/deletes of older messages
+    let changes = [];
+    const changedSince = typeof req.query.changed_since === "string" ? req.query.changed_since : "";
+    if (changedSince) {
+      changes = await dbAll(
+        `SELECT ${MESSAGE_COLUMNS} FROM messages
+         WHERE ${where.sql} AND id <= ? AND (edited_at > ? OR deleted_at > ?)
+         ORDER BY id ASC LIMIT 200`,
+        [where.param, since, changedSince, changedSince]
+      );
+    }
+    await decorateMessages(rows);
+    await decorateMessages(changes);
+    const out = { ok: true, messages: rows, changes, server_time: serverTime };
+    if (hasMore !== undefined) out.has_more = hasMore;
+    res.json(out);
+  } catch (e) {
+    console.error("messages get error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+function sanitizeText(s) {
+  if (typeof s !== "string") return "";
+  // keep it simple: strip control chars, trim, cap length
+  return s.replace(/[\u0000-\u001F\u007F]/g, "").trim().slice(0, 500);
+}
+
+// message text keeps its line breaks and tabs (code blocks need them); length is checked separately
+function sanitizeMessage(s) {
+  if (typeof s !== "string") return "";
+  return s.replace(/\r\n?/g, "\n").replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, "").trim();
+}
+
+function messageLengthError(text) {
+  if (text.length > MESSAGE_MAX_LENGTH) return `Messages are limited to ${MESSAGE_MAX_LENGTH} characters`;
+  if (proseLength(text) > MESSAGE_PROSE_MAX) {
+    return `Messages are limited to ${MESSAGE_PROSE_MAX} characters outside code blocks`;
+  }
+  return null;
+}
+
+// stores a message, claims its uploads and tells everyone who can see the channel
+async function insertMessage({ roomId, conversationId, parentId, username, text, kind = null, attachmentIds, createdAt }) {
+  const result = await dbRun(
+    `INSERT INTO messages (room_id, conversation_id, parent_id, username, text, kind, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [roomId, conversationId, parentId, username, text, kind, createdAt]
+  );
+
+  const msg = {
+    id: result.lastID,
+    room_id: roomId,
+    conversation_id: conversationId,
+    parent_id: parentId,
+    username,
+    text,
+    kind,
+    created_at: createdAt,
+    edited_at: null,
+    deleted_at: null,
+    reactions: [],
+    reply_count: 0,
+    parent: null,
+    preview: null
+  };
+  if (parentId) msg.parent = await threadRootInfo(parentId);
+  if (attachmentIds.length) {
+    await dbRun(
+      `UPDATE attachments SET message_id = ?
+       WHERE id IN (${attachmentIds.map(() => "?").join(", ")}) AND message_id IS NULL`,
+      [msg.id, ...attachmentIds]
+    );
+  }
+  await attachAttachments([msg]);
+  await attachNicks([msg]);
+  const notify = await recordMentions(msg);
+  // broadcast to realtime listeners that can see the room / conversation
+  sseToChannel(msg, "message", msg, msg.id);
+  notifyMentions(msg, notify);
+  // the message is posted either way; a failed callback is the webhook's problem
+  queueWebhooks(msg).catch(e => console.error("webhook queue error", e));
+  unfurlMessage(msg).catch(e => console.error("unfurl error", e));
+  return msg;
+}
+
+async function postChannelMessage(req, res, channel) {
+  try {
+    presenceActive(req.user.username);
+    let text = sanitizeMessage(req.body?.text);
+    const attachmentIds = Array.isArray(req.body?.attachment_ids)
+      ? [...new Set(req.body.attachment_ids.map(Number))]
+      : [];
+    if (!text && !attachmentIds.length) return res.status(400).json({ error: "Empty message" });
+    if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      return res.status(400).json({ error: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message` });
+    }
+    if (attachmentIds.length) {
+      const own = await dbAll(
+        `SELECT id FROM attachments
+         WHERE id IN (${attachmentIds.map(() => "?").join(", ")}) AND uploader = ? AND message_id IS NULL`,
+        [...attachmentIds, req.user.username]
+      );
+      if (own.length !== attachmentIds.length) return res.status(400).json({ error: "Invalid attachment" });
+    }
+
+    // "/name args" runs a command; "//text" posts "/text"
+    let kind = null;
+    let author = req.user.username;
+    if (text.startsWith("//")) {
+      text = text.slice(1);
+    } else if (text.startsWith("/")) {
+      const result = await runSlashCommand(req, channel, text);
+      if (result.author && result.author !== author && !(await channelMembers(channel, [result.author])).length) {
+        // a bot can only answer out loud where it's a member
+        result.ephemeral = result.text;
+      }
+      const reply = result.ephemeral == null ? sanitizeMessage(result.text) : "";
+      if (!reply) {
+        // nothing to post: at most an answer only the invoker sees
+        typingStop(channel, author);
+        const ephemeral = result.ephemeral
+          ? sendEphemeral(author, channel, result.ephemeral, result.author || null)
+          : null;
+        return res.json({ ok: true, ephemeral });
+      }
+      text = reply;
+      kind = result.kind || null;
+      author = result.author || author;
+    }
+    const tooLong = messageLengthError(text);
+    if (tooLong) return res.status(400).json({ error: tooLong });
+
+    // replies must stay in the same room / conversation; a reply to a reply joins the root's thread
+    let parent = null;
+    if (req.body?.parent_id != null) {
+      const where = channelFilter(channel);
+      parent = await dbGet(
+        `SELECT id, parent_id, username, text, deleted_at FROM messages WHERE id = ? AND ${where.sql}`,
+        [Number(req.body.parent_id), where.param]
+      );
+      if (parent?.parent_id) {
+        parent = await dbGet(`SELECT id, parent_id, username, text, deleted_at FROM messages WHERE id = ?`, [
+          parent.parent_id
+        ]);
+      }
+      if (!parent) return res.status(404).json({ error: "Message not found" });
+      if (parent.deleted_at) return res.status(409).json({ error: "Message was deleted" });
+    }
+
+    const verdict = applyContentFilter(text);
+    if (verdict.action === "reject") {
+      return res.status(400).json({ error: "That message contains blocked words" });
+    }
+    text = verdict.text;
+    typingStop(channel, req.user.username);
+
+    const fields = {
+      roomId: channel.room_id ?? null,
+      conversationId: channel.conversation_id ?? null,
+      parentId: parent ? parent.id : null,
+      username: author,
+      text,
+      kind,
+      // a bot's answer doesn't take the invoker's uploads along
+      attachmentIds: author === req.user.username ? attachmentIds : [],
+      createdAt: new Date().toISOString()
+    };
+    if (verdict.action === "hold") {
+      // nobody sees it until a moderator approves it from the review queue
+      const held = await dbRun(
+        `INSERT INTO held_messages (room_id, conversation_id, parent_id, username, text, kind, attachment_ids, matched, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [fields.roomId, fields.conversationId, fields.parentId, fields.username, text, kind,
+          JSON.stringify(fields.attachmentIds), verdict.matched.join(", "), fields.createdAt]
+      );
+      await notifyReviewQueue();
+      return res.status(202).json({ ok: true, held: true, held_id: held.lastID });
+    }
+
+    const msg = await insertMessage(fields);
+    res.json({ ok: true, message: msg });
+  } catch (e) {
+    console.error("messages post error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// /api/messages is the default room, kept for older clients
+app.get("/api/messages", requireAuth, (req, res) =>
+  listChannelMessages(req, res, { room_id: DEFAULT_ROOM_ID })
+);
+app.post("/api/messages", requireAuth, requireNotMuted, limitPosting, (req, res) =>
+  postChannelMessage(req, res, { room_id: DEFAULT_ROOM_ID })
+);
+
+app.get("/api/rooms/:id/messages", requireAuth, requireRoomMember, (req, res) =>
+  listChannelMessages(req, res, { room_id: req.room.id })
+);
+app.post("/api/rooms/:id/messages", requireAuth, requireRoomMember, requireNotMuted, limitPosting, (req, res) =>
+  postChannelMessage(req, res, { room_id: req.room.id })
+);
+
+app.get("/api/conversations/:id/messages", requireAuth, requireParticipant, (req, res) =>
+  listChannelMessages(req, res, { conversation_id: req.conversation.id })
+);
+app.post("/api/conversations/:id/messages", requireAuth, requireParticipant, requireNotMuted, limitPosting, (req, res) =>
+  postChannelMessage(req, res, { conversation_id: req.conversation.id })
+);
+
+// ---- slash commands
+// "/name args" in the composer runs a command instead of being posted. A command answers with
+// { text, kind? } to post in the channel (through the usual filter and review), { ephemeral } for
+// a reply only the invoker's streams get, or {} for nothing. Bots add commands over the API;
+// those are sent to the bot's URL and it answers like a Slack slash command.
+const COMMAND_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+const COMMAND_ARGS_MAX = 64;
+const COMMAND_DESCRIPTION_MAX = 120;
+const MAX_BOT_COMMANDS = 20; // per bot
+const COMMAND_TIMEOUT_MS = 5000;
+const ROLL_MAX_DICE = 20;
+const ROLL_MAX_SIDES = 1000;
+const TOPIC_MAX = 120;
+
+const SLASH_COMMANDS = new Map(); // name -> { name, args, description, run(ctx) }
+
+function defineCommand(name, args, description, run) {
+  SLASH_COMMANDS.set(name, { name, args, description, run });
+}
+
+function commandUsage(cmd) {
+  return `Usage: /${cmd.name}${cmd.args ? ` ${cmd.args}` : ""}`;
+}
+
+defineCommand("me", "<action>", "Say what you're doing, e.g. /me waves", ({ cmd, args }) =>
+  args ? { text: args, kind: "action" } : { ephemeral: commandUsage(cmd) }
+);
+
+defineCommand("shrug", "[message]", "Append ¯\\_(ツ)_/¯ to your message", ({ args }) => ({
+  text: args ? `${args} ¯\\_(ツ)_/¯` : "¯\\_(ツ)_/¯"
+}));
+
+// a display name shown on your messages instead of the username; it can't be someone else's name
+defineCommand("nick", "[name]", "Set the name shown on your messages (no name clears it)", async ({ req, args }) => {
+  const username = req.user.username;
+  const nick = normalizeUsername(args);
+  if (nick) {
+    if (!validateUsername(nick)) return { ephemeral: "Nicknames follow the username rules: 2–24 letters, numbers, spaces, _ - ." };
+    if (applyContentFilter(nick).action) return { ephemeral: "That nickname contains blocked words" };
+    const taken = await dbGet(
+      `SELECT username FROM users WHERE (username = ? COLLATE NOCASE OR nick = ? COLLATE NOCASE) AND username != ?`,
+      [nick, nick, username]
+    );
+    if (taken) return { ephemeral: `${nick} is already taken` };
+  }
+  await dbRun(`UPDATE users SET nick = ? WHERE username = ?`, [nick, username]);
+  const state = presenceState.get(username);
+  if (state) state.nick = nick;
+  broadcastPresence();
+  sseBroadcast("user_nick", { username, nick });
+  return { ephemeral: nick ? `You're now shown as ${nick}` : "Nickname cleared" };
+});
+
+// the room's creator and moderators can change it; everyone sees the change as an action message
+defineCommand("topic", "[topic]", "Show or set the room's topic", async ({ req, channel, args }) => {
+  if (channel.room_id == null) return { ephemeral: "Direct messages don't have a topic" };
+  const room = await dbGet(`SELECT id, name, topic, created_by FROM rooms WHERE id = ?`, [channel.room_id]);
+  if (!args) return { ephemeral: room.topic ? `Topic of #${room.name}: ${room.topic}` : `#${room.name} has no topic` };
+  if (room.created_by !== req.user.username && roleRank(req.user.role) < ROLE_RANK.moderator) {
+    return { ephemeral: "Only the room's creator and moderators can change the topic" };
+  }
+  const verdict = applyContentFilter(sanitizeText(args).slice(0, TOPIC_MAX));
+  if (verdict.action === "reject" || verdict.action === "hold") return { ephemeral: "That topic contains blocked words" };
+  await dbRun(`UPDATE rooms SET topic = ? WHERE id = ?`, [verdict.text, room.id]);
+  sseToChannel(channel, "room", { action: "updated", room: { id: room.id, name: room.name, topic: verdict.text } });
+  return { text: `changed the topic to: ${verdict.text}`, kind: "action" };
+});
+
+defineCommand("who", "", "List who's online", () => {
+  const online = getOnlineUsers();
+  if (!online.length) return { ephemeral: "Nobody is online" };
+  const names = online.map(u => {
+    const status = visibleStatus(u);
+    return status === "online" ? u : `${u} (${status === "dnd" ? "do not disturb" : status})`;
+  });
+  return { ephemeral: `Online (${online.length}): ${names.join(", ")}` };
+});
+
+// "/roll" is 1d6, "/roll 20" is 1d20, "/roll 3d8" three eight-sided dice
+defineCommand("roll", "[NdM]", "Roll dice, e.g. /roll 2d6", ({ cmd, args }) => {
+  const m = /^(?:(\d{1,2})?d)?(\d{1,4})$/i.exec(args || "6");
+  const dice = Number(m?.[1] || 1);
+  const sides = Number(m?.[2]);
+  if (!m || dice < 1 || dice > ROLL_MAX_DICE || sides < 2 || sides > ROLL_MAX_SIDES) {
+    return { ephemeral: `${commandUsage(cmd)} (up to ${ROLL_MAX_DICE} dice with 2–${ROLL_MAX_SIDES} sides)` };
+  }
+  const rolls = Array.from({ length: dice }, () => crypto.randomInt(1, sides + 1));
+  const total = dice > 1 ? ` (total ${rolls.reduce((a, b) => a + b, 0)})` : "";
+  return { text: `rolled ${dice}d${sides}: ${rolls.join(", ")}${total}`, kind: "action" };
+});
+
+defineCommand("help", "[command]", "List the commands, or explain one", async ({ args }) => {
+  const commands = await listCommands();
+  const name = (args || "").replace(/^\//, "").toLowerCase();
+  if (name) {
+    const cmd = commands.find(c => c.name === name);
+    if (!cmd) return { ephemeral: `There's no /${name}. Type /help for the list.` };
+    return { ephemeral: `${commandUsage(cmd)}: ${cmd.description}${cmd.bot ? ` (from ${cmd.bot})` : ""}` };
+  }
+  const lines = commands.map(c => `/${c.name}${c.args ? ` ${c.args}` : ""}: ${c.description}`);
+  return { ephemeral: `${lines.join("\n")}\nStart a message with // to post a slash as-is.` };
+});
+
+async function listCommands() {
+  const builtIn = [...SLASH_COMMANDS.values()].map(({ name, args, description }) => ({ name, args, description, bot: null }));
+  const bots = await dbAll(
+    `SELECT c.name, c.args, c.description, c.username AS bot
+     FROM bot_commands c JOIN users u ON u.username = c.username
+     WHERE u.banned_at IS NULL ORDER BY c.name`
+  );
+  return [...builtIn, ...bots];
+}
+
+async function runSlashCommand(req, channel, text) {
+  const m = /^\/(\S+)\s*([\s\S]*)$/.exec(text);
+  // a bare "/" or "/ hi" names no command
+  if (!m) return { ephemeral: "Unknown command. Type /help for the list." };
+  const name = m[1].toLowerCase();
+  const args = m[2].trim();
+  const cmd = SLASH_COMMANDS.get(name);
+  if (cmd) return cmd.run({ req, channel, cmd, args });
+
+  const botCmd = await dbGet(
+    `SELECT c.name, c.username, c.url, c.secret
+     FROM bot_commands c JOIN users u ON u.username = c.username
+     WHERE c.name = ? AND u.banned_at IS NULL`,
+    [name]
+  );
+  if (botCmd) return runBotCommand(req, channel, botCmd, args);
+  return { ephemeral: `Unknown command /${name}. Type /help for the list.` };
+}
+
+// POSTs { command, text, username, room_id, conversation_id } to the bot, signed like an outgoing
+// webhook. The bot answers { text, response_type: "in_channel" | "ephemeral" } (default ephemeral).
+async function runBotCommand(req, channel, botCmd, args) {
+  const body = JSON.stringify({
+    command: botCmd.name,
+    text: args,
+    username: req.user.username,
+    room_id: channel.room_id ?? null,
+    conversation_id: channel.conversation_id ?? null
+  });
+  let answer;
+  try {
+    const r = await webhookRequest(botCmd.url, botCmd.secret, "command", crypto.randomUUID(), body, COMMAND_TIMEOUT_MS);
+    if (r.status < 200 || r.status > 299) {
+      await r.body?.cancel();
+      return { ephemeral: `/${botCmd.name} failed (${botCmd.username} answered HTTP ${r.status})` };
+    }
+    answer = (r.headers.get("Content-Type") || "").includes("json") ? await r.json() : {};
+  } catch (e) {
+    return { ephemeral: `/${botCmd.name} failed (${botCmd.username} didn't answer in time)` };
+  }
+  const reply = typeof answer?.text === "string" ? answer.text : "";
+  if (!reply) return {};
+  return answer.response_type === "in_channel"
+    ? { text: reply, author: botCmd.username }
+    : { ephemeral: reply, author: botCmd.username };
+}
+
+// only the invoker's open streams get it; nothing is stored
+function sendEphemeral(username, channel, text, from) {
+  const ephemeral = {
+    id: crypto.randomUUID(),
+    room_id: channel.room_id ?? null,
+    conversation_id: channel.conversation_id ?? null,
+    username: from,
+    text: String(text).slice(0, 4000),
+    created_at: new Date().toISOString()
+  };
+  sseToUser(username, "ephemeral", ephemeral);
+  return ephemeral;
+}
+
+async function attachNicks(messages) {
+  const authors = [...new Set(messages.map(m => m.username))];
+  if (!authors.length) return messages;
+  const rows = await dbAll(
+    `SELECT username, nick FROM users WHERE nick != '' AND username IN (${authors.map(() => "?").join(", ")})`,
+    authors
+  );
+  const nicks = new Map(rows.map(r => [r.username, r.nick]));
+  for (const m of messages) m.nick = nicks.get(m.username) || null;
+  return messages;
+}
+
+app.get("/api/commands", requireAuth, async (req, res) => {
+  try {
+    res.json({ ok: true, commands: await listCommands() });
+  } catch (e) {
+    console.error("commands list error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// bots (with a "write" token) register or update their commands: { url, args?, description? }.
+// The signing secret is only in the response that first registers the name.
+app.put("/api/commands/:name", requireAuth, async (req, res) => {
+  try {
+    const username = req.user.username;
+    if (!(await isBot(username))) return res.status(403).json({ error: "Only bot accounts can register commands" });
+    const name = String(req.params.name).toLowerCase();
+    if (!COMMAND_NAME.test(name)) return res.status(400).json({ error: "Command names are a-z, 0-9, _ and -" });
+    if (SLASH_COMMANDS.has(name)) return res.status(409).json({ error: `/${name} is built in` });
+    let url = null;
+    try {
+      url = new URL(String(req.body?.url || ""));
+    } catch {}
+    if (!url || !["http:", "https:"].includes(url.protocol) || url.href.length > WEBHOOK_URL_MAX) {
+      return res.status(400).json({ error: "Give an http(s) URL" });
+    }
+    const args = sanitizeText(req.body?.args).slice(0, COMMAND_ARGS_MAX);
+    const description = sanitizeText(req.body?.description).slice(0, COMMAND_DESCRIPTION_MAX);
+
+    const existing = await dbGet(`SELECT username FROM bot_commands WHERE name = ?`, [name]);
+    if (existing && existing.username !== username) return res.status(409).json({ error: `/${name} belongs to another bot` });
+    if (existing) {
+      await dbRun(
+        `UPDATE bot_commands SET url = ?, args = ?, description = ? WHERE name = ?`,
+        [url.href, args, description, name]
+      );
+      return res.json({ ok: true, command: { name, args, description, bot: username } });
+    }
+    const count = await dbGet(`SELECT COUNT(*) AS n FROM bot_commands WHERE username = ?`, [username]);
+    if (count.n >= MAX_BOT_COMMANDS) return res.status(409).json({ error: `At most ${MAX_BOT_COMMANDS} commands per bot` });
+    const { secret } = newSecret(WEBHOOK_SECRET_PREFIX);
+    await dbRun(
+      `INSERT INTO bot_commands (name, username, args, description, url, secret, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, username, args, description, url.href, secret, new Date().toISOString()]
+    );
+    res.json({ ok: true, command: { name, args, description, bot: username }, secret });
+  } catch (e) {
+    console.error("command register error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// the bot that owns it, or an admin
+app.delete("/api/commands/:name", requireAuth, async (req, res) => {
+  try {
+    const name = String(req.params.name).toLowerCase();
+    const cmd = await dbGet(`SELECT username FROM bot_commands WHERE name = ?`, [name]);
+    const admin = roleRank(req.user.role) >= ROLE_RANK.admin && hasScope(req.user, "admin");
+    if (!cmd || (cmd.username !== req.user.username && !admin)) return res.status(404).json({ error: "Command not found" });
+    await dbRun(`DELETE FROM bot_commands WHERE name = ?`, [name]);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("command delete error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- typing indicators
+// Clients re-send while typing; receivers drop an indicator after expires_in unless it's
+// refreshed, so a lost "stopped" event can't leave someone typing forever.
+const TYPING_TTL_MS = 6000;
+const TYPING_THROTTLE_MS = 2000; // at most one fan-out per user and channel in this window
+
+const typingState = new Map(); // "room:1|alice" -> { channel, username, sentAt, timer }
+
+function typingKey(channel, username) {
+  return `${channelKey(channel)}|${username}`;
+}
+
+function sendTyping(channel, username, typing) {
+  sseToChannel(channel, "typing", {
+    room_id: channel.room_id ?? null,
+    conversation_id: channel.conversation_id ?? null,
+    username,
+    typing,
+    expires_in: typing ? TYPING_TTL_MS / 1000 : 0
+  });
+}
+
+function typingStart(channel, username) {
+  const key = typingKey(channel, username);
+  const state = typingState.get(key) || { channel, username, sentAt: 0, timer: null };
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => typingStop(channel, username), TYPING_TTL_MS);
+  state.timer.unref();
+  typingState.set(key, state);
+  if (Date.now() - state.sentAt >= TYPING_THROTTLE_MS) {
+    state.sentAt = Date.now();
+    sendTyping(channel, username, true);
+  }
+}
+
+function typingStop(channel, username) {
+  const key = typingKey(channel, username);
+  const state = typingState.get(key);
+  if (!state) return;
+  clearTimeout(state.timer);
+  typingState.delete(key);
+  sendTyping(state.channel, username, false);
+}
+
+// the user's last stream closed: whatever they were typing isn't coming
+function typingStopAll(username) {
+  for (const state of [...typingState.values()]) {
+    if (state.username === username) typingStop(state.channel, username);
+  }
+}
+
+function setTyping(req, res, channel) {
+  if (req.body?.typing === false) typingStop(channel, req.user.username);
+  else typingStart(channel, req.user.username);
+  presenceActive(req.user.username);
+  res.json({ ok: true });
+}
+
+app.post("/api/typing", requireAuth, requireNotMuted, (req, res) =>
+  setTyping(req, res, { room_id: DEFAULT_ROOM_ID })
+);
+app.post("/api/rooms/:id/typing", requireAuth, requireRoomMember, requireNotMuted, (req, res) =>
+  setTyping(req, res, { room_id: req.room.id })
+);
+app.post("/api/conversations/:id/typing", requireAuth, requireParticipant, requireNotMuted, (req, res) =>
+  setTyping(req, res, { conversation_id: req.conversation.id })
+);
+
+// resolves :id to req.message if the user can see its room / conversation
+async function requireMessageAccess(req, res, next) {
+  try {
+    const messageId = Number(req.params.id);
+    const msg = Number.isSafeInteger(messageId)
+      ? await dbGet(
+          `SELECT ${MESSAGE_COLUMNS} FROM messages
+           WHERE id = ? AND (
+             room_id IN (SELECT room_id FROM room_members WHERE username = ?)
+             OR conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = ?)
+           )`,
+          [messageId, req.user.username, req.user.username]
+        )
+      : null;
+    if (!msg) return res.status(404).json({ error: "Message not found" });
+    req.message = msg;
+    next();
+  } catch (e) {
+    console.error("message lookup error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// a window of messages around :id in its room / conversation, for jumping to search hits
+app.get("/api/messages/:id/context", requireAuth, requireMessageAccess, async (req, res) => {
+  try {
+    const around = Math.min(100, Math.max(1, Number(req.query.limit || 25)));
+    const where = channelFilter(req.message);
+    const before = await dbAll(
+      `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE ${where.sql} AND id < ? ORDER BY id DESC LIMIT ?`,
+      [where.param, req.message.id, around]
+    );
+    const after = await dbAll(
+      `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE ${where.sql} AND id > ? ORDER BY id ASC LIMIT ?`,
+      [where.param, req.message.id, around]
+    );
+    const messages = await decorateMessages([...before.reverse(), req.message, ...after]);
+    res.json({
+      ok: true,
+      message_id: req.message.id,
+      messages,
+      has_more_after: after.length === around
+    });
+  } catch (e) {
+    console.error("message context error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// the thread :id belongs to: its root plus every reply, oldest first
+app.get("/api/messages/:id/thread", requireAuth, requireMessageAccess, async (req, res) => {
+  try {
+    const root = req.message.parent_id
+      ? await dbGet(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id = ?`, [req.message.parent_id])
+      : req.message;
+    const replies = await dbAll(
+      `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE parent_id = ? ORDER BY id ASC LIMIT 500`,
+      [root.id]
+    );
+    await decorateMessages([root, ...replies]);
+    res.json({ ok: true, root, replies });
+  } catch (e) {
+    console.error("thread get error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// only the author, and only within MESSAGE_EDIT_WINDOW_MS of posting
+function checkAuthorWindow(req, res) {
+  const msg = req.message;
+  if (msg.username !== req.user.username) {
+    res.status(403).json({ error: "You can only change your own messages" });
+    return false;
+  }
+  if (msg.deleted_at) {
+    res.status(409).json({ error: "Message was deleted" });
+    return false;
+  }
+  if (MESSAGE_EDIT_WINDOW_MS > 0 && Date.now() - Date.parse(msg.created_at) > MESSAGE_EDIT_WINDOW_MS) {
+    res.status(403).json({ error: "Too late to change this message" });
+    return false;
+  }
+  return true;
+}
+
+app.patch("/api/messages/:id", requireAuth, requireMessageAccess, async (req, res) => {
+  try {
+    if (!checkAuthorWindow(req, res)) return;
+    let text = sanitizeMessage(req.body?.text);
+    if (!text) return res.status(400).json({ error: "Empty message" });
+    const tooLong = messageLengthError(text);
+    if (tooLong) return res.status(400).json({ error: tooLong });
+    // an already-posted message can't be held, so edits that need review are refused
+    const verdict = applyContentFilter(text);
+    if (verdict.action === "reject" || verdict.action === "hold") {
+      return res.status(400).json({ error: "That message contains blocked words" });
+    }
+    text = verdict.text;
+
+    const now = new Date().toISOString();
+    await dbRun(`UPDATE messages SET text = ?, edited_at = ?, preview_id = NULL WHERE id = ?`, [text, now, req.message.id]);
+
+    const [msg] = await decorateMessages([{ ...req.message, text, edited_at: now }]);
+    // only people the edit newly mentions get notified
+    const notify = await recordMentions(msg);
+    sseToChannel(msg, "message_edit", msg);
+    notifyMentions(msg, notify);
+    unfurlMessage(msg).catch(e => console.error("unfurl error", e));
+    res.json({ ok: true, message: msg });
+  } catch (e) {
+    console.error("message edit error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// soft-delete: a tombstone keeps no content, files included
+async function deleteMessage(message) {
+  const now = new Date().toISOString();
+  await dbRun(`UPDATE messages SET text = '', deleted_at = ?, preview_id = NULL WHERE id = ?`, [now, message.id]);
+  await removeAttachments(
+    await dbAll(`SELECT id, stored_name FROM attachments WHERE message_id = ?`, [message.id])
+  );
+
+  const [msg] = await decorateMessages([{ ...message, text: "", deleted_at: now }]);
+  if (msg.parent_id) msg.parent = await threadRootInfo(msg.parent_id);
+  sseToChannel(msg, "message_delete", msg);
+  return msg;
+}
+
+app.delete("/api/messages/:id", requireAuth, requireMessageAccess, async (req, res) => {
+  try {
+    // moderators may remove anyone's message, at any age
+    const moderating = req.message.username !== req.user.username && roleRank(req.user.role) >= ROLE_RANK.moderator;
+    if (moderating) {
+      if (req.message.deleted_at) return res.status(409).json({ error: "Message was deleted" });
+    } else if (!checkAuthorWindow(req, res)) {
+      return;
+    }
+
+    const msg = await deleteMessage(req.message);
+    if (moderating) {
+      await logModAction(req.user.username, "delete_message", {
+        target: req.message.username,
+        messageId: req.message.id,
+        reason: req.body?.reason
+      });
+    }
+    res.json({ ok: true, message: msg });
+  } catch (e) {
+    console.error("message delete error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- read receipts
+// last_read_id only ever moves forward. Channels without a row yet count as unread only
+// what arrived after the user joined, so a new member isn't greeted with the whole history.
+const MAX_RECEIPTS = 200;
+
+// { room_id } / { conversation_id } from a query string or body, if the user belongs to it
+async function readChannel(src, username) {
+  const roomId = Number(src?.room_id);
+  const conversationId = Number(src?.conversation_id);
+  if (src?.conversation_id != null) {
+    if (!Number.isSafeInteger(conversationId)) return null;
+    return (await getConversationForUser(conversationId, username)) ? { conversation_id: conversationId } : null;
+  }
+  if (src?.room_id != null) {
+    if (!Number.isSafeInteger(roomId)) return null;
+    const room = await getRoomForUser(roomId, username);
+    return room?.joined ? { room_id: roomId } : null;
+  }
+  return null;
+}
+
+function unreadSql(column) {
+  return `(SELECT COUNT(*) FROM messages m
+     WHERE m.${column} = mb.${column} AND m.username != mb.username AND m.deleted_at IS NULL
+       AND (CASE WHEN rs.last_read_id IS NULL THEN m.created_at > mb.joined_at ELSE m.id > rs.last_read_id END))`;
+}
+
+// ?room_id= / ?conversation_id= adds where everyone else in that channel has read up to
+app.get("/api/read", requireAuth, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const rows = await dbAll(
+      `SELECT mb.room_id, NULL AS conversation_id, rs.last_read_id, ${unreadSql("room_id")} AS unread
+       FROM room_members mb
+       LEFT JOIN read_state rs ON rs.username = mb.username AND rs.channel = 'room:' || mb.room_id
+       WHERE mb.username = ?
+       UNION ALL
+       SELECT NULL, mb.conversation_id, rs.last_read_id, ${unreadSql("conversation_id")}
+       FROM conversation_participants mb
+       LEFT JOIN read_state rs ON rs.username = mb.username AND rs.channel = 'dm:' || mb.conversation_id
+       WHERE mb.username = ?`,
+      [username, username]
+    );
+    const out = {
+      ok: true,
+      channels: rows.map(r => ({
+        room_id: r.room_id,
+        conversation_id: r.conversation_id,
+        last_read_id: r.last_read_id || 0,
+        unread: r.unread
+      }))
+    };
+
+    if (req.query.room_id != null || req.query.conversation_id != null) {
+      const channel = await readChannel(req.query, username);
+      if (!channel) return res.status(404).json({ error: "Channel not found" });
+      const members = channel.conversation_id != null
+        ? { sql: `SELECT username FROM conversation_participants WHERE conversation_id = ?`, param: channel.conversation_id }
+        : { sql: `SELECT username FROM room_members WHERE room_id = ?`, param: channel.room_id };
+      out.receipts = await dbAll(
+        `SELECT username, last_read_id FROM read_state
+         WHERE channel = ? AND username != ? AND username IN (${members.sql})
+         ORDER BY last_read_id DESC, updated_at DESC LIMIT ?`,
+        [channelKey(channel), username, members.param, MAX_RECEIPTS]
+      );
+    }
+    res.json(out);
+  } catch (e) {
+    console.error("read state error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+async function updateReadState(req, res) {
+  try {
+    const username = req.user.username;
+    const channel = await readChannel(req.body, username);
+    if (!channel) return res.status(404).json({ error: "Channel not found" });
+    const requested = Number(req.body?.last_read_id);
+    if (!Number.isSafeInteger(requested) || requested < 1) {
+      return res.status(400).json({ error: "Invalid last_read_id" });
+    }
+
+    // never past the newest message, so a bogus id can't hide messages that arrive later
+    const where = channelFilter(channel);
+    const newest = await dbGet(`SELECT MAX(id) AS id FROM messages WHERE ${where.sql}`, [where.param]);
+    const lastReadId = Math.min(requested, newest?.id || 0);
+    if (!lastReadId) return res.json({ ok: true, last_read_id: 0 });
+
+    const result = await dbRun(
+      `INSERT INTO read_state (username, channel, last_read_id, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (username, channel) DO UPDATE
+         SET last_read_id = excluded.last_read_id, updated_at = excluded.updated_at
+         WHERE excluded.last_read_id > read_state.last_read_id`,
+      [username, channelKey(channel), lastReadId, new Date().toISOString()]
+    );
+    if (result.changes) {
+      sseToChannel(channel, "read", {
+        room_id: channel.room_id ?? null,
+        conversation_id: channel.conversation_id ?? null,
+        username,
+        last_read_id: lastReadId
+      });
+      // reading the channel also reads the mentions in it
+      await markNotificationsRead(
+        username,
+        `message_id IN (SELECT id FROM messages WHERE ${where.sql} AND id <= ?)`,
+        [where.param, lastReadId]
+      );
+    }
+    const row = await dbGet(
+      `SELECT last_read_id FROM read_state WHERE username = ? AND channel = ?`,
+      [username, channelKey(channel)]
+    );
+    res.json({ ok: true, last_read_id: row.last_read_id });
+  } catch (e) {
+    console.error("read update error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+app.post("/api/read", requireAuth, updateReadState);
+
+// ---- mentions and notifications
+const MAX_MENTIONS = 20; // "@" signs looked at per message
+const MENTION_NAME_MAX = 24;
+
+// Usernames may contain spaces and dots ("@Kyle Smith", "@bob."), so every prefix after an
+// "@" that ends at a word boundary is a candidate and the longest real username wins.
+// Returns canonical usernames in order of first mention.
+async function parseMentions(text) {
+  const runs = [];
+  const re = /(?:^|[^A-Za-z0-9_.@-])@(?=[A-Za-z0-9])/g;
+  let m;
+  while ((m = re.exec(text || "")) && runs.length < MAX_MENTIONS) {
+    const rest = text.slice(re.lastIndex, re.lastIndex + MENTION_NAME_MAX + 1);
+    const candidates = [];
+    for (let i = 1; i <= Math.min(rest.length, MENTION_NAME_MAX); i++) {
+      if (!/[A-Za-z0-9 _.-]/.test(rest[i - 1])) break;
+      if (i === rest.length || !/[A-Za-z0-9]/.test(rest[i])) candidates.push(rest.slice(0, i));
+    }
+    runs.push(candidates.reverse()); // longest first
+  }
+  const all = [...new Set(runs.flat().map(c => c.toLowerCase()))];
+  if (!all.length) return [];
+
+  const rows = await dbAll(
+    `SELECT username FROM users WHERE lower(username) IN (${all.map(() => "?").join(", ")})`,
+    all
+  );
+  const byLower = new Map();
+  for (const r of rows) {
+    const key = r.username.toLowerCase();
+    if (!byLower.has(key)) byLower.set(key, []);
+    byLower.get(key).push(r.username);
+  }
+  const found = [];
+  for (const candidates of runs) {
+    for (const c of candidates) {
+      const matches = byLower.get(c.toLowerCase());
+      if (!matches) continue;
+      // "Bob" and "bob" can both exist: the exact spelling wins
+      found.push(matches.includes(c) ? c : matches[0]);
+      break;
+    }
+  }
+  return [...new Set(found)];
+}
+
+// who among usernames can read the channel
+async function channelMembers(channel, usernames) {
+  if (!usernames.length) return [];
+  const list = usernames.map(() => "?").join(", ");
+  const rows = channel.conversation_id != null
+    ? await dbAll(
+        `SELECT username FROM conversation_participants WHERE conversation_id = ? AND username IN (${list})`,
+        [channel.conversation_id, ...usernames]
+      )
+    : await dbAll(
+        `SELECT username FROM room_members WHERE room_id = ? AND username IN (${list})`,
+        [channel.room_id, ...usernames]
+      );
+  return rows.map(r => r.username);
+}
+
+// Stores who msg mentions (replacing what an earlier version of the text mentioned) and sets
+// msg.mentions. Returns [{ id, username }] for the newly mentioned people who can see the
+// channel; authors don't notify themselves.
+async function recordMentions(msg) {
+  const names = msg.deleted_at ? [] : await parseMentions(msg.text);
+  msg.mentions = names;
+  if (names.length) {
+    await dbRun(
+      `DELETE FROM mentions WHERE message_id = ? AND username NOT IN (${names.map(() => "?").join(", ")})`,
+      [msg.id, ...names]
+    );
+  } else {
+    await dbRun(`DELETE FROM mentions WHERE message_id = ?`, [msg.id]);
+  }
+
+  const added = [];
+  const now = new Date().toISOString();
+  for (const username of names) {
+    const result = await dbRun(
+      `INSERT OR IGNORE INTO mentions (message_id, username, created_at) VALUES (?, ?, ?)`,
+      [msg.id, username, now]
+    );
+    if (result.changes && username !== msg.username) added.push({ id: result.lastID, username });
+  }
+  const members = new Set(await channelMembers(msg, added.map(a => a.username)));
+  return added.filter(a => members.has(a.username));
+}
+
+function notifyMentions(msg, notify) {
+  for (const n of notify) {
+    sseToUser(n.username, "mention", { id: n.id, created_at: msg.edited_at || msg.created_at, read_at: null, message: msg });
+  }
+}
+
+// adds `mentions: [username]` to each message
+async function attachMentions(messages) {
+  for (const m of messages) m.mentions = [];
+  const live = messages.filter(m => !m.deleted_at);
+  if (!live.length) return messages;
+  const rows = await dbAll(
+    `SELECT message_id, username FROM mentions
+     WHERE message_id IN (${live.map(() => "?").join(", ")}) ORDER BY id ASC`,
+    live.map(m => m.id)
+  );
+  const byId = new Map(messages.map(m => [m.id, m]));
+  for (const r of rows) byId.get(r.message_id)?.mentions.push(r.username);
+  return messages;
+}
+
+// a notification only counts while its message exists and the user can still see the channel
+const NOTIFICATION_VISIBLE = `
+  EXISTS (
+    SELECT 1 FROM messages m
+    WHERE m.id = n.message_id AND m.deleted_at IS NULL AND m.username != n.username AND (
+      m.room_id IN (SELECT room_id FROM room_members WHERE username = n.username)
+      OR m.conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = n.username)
+    )
+  )`;
+
+async function unreadNotificationCount(username) {
+  const row = await dbGet(
+    `SELECT COUNT(*) AS n FROM mentions n WHERE n.username = ? AND n.read_at IS NULL AND ${NOTIFICATION_VISIBLE}`,
+    [username]
+  );
+  return row.n;
+}
+
+// marks the user's unread mentions matching `where` as read and syncs their other tabs
+async function markNotificationsRead(username, where, params) {
+  const result = await dbRun(
+    `UPDATE mentions SET read_at = ? WHERE username = ? AND read_at IS NULL AND ${where}`,
+    [new Date().toISOString(), username, ...params]
+  );
+  if (result.changes) sseToUser(username, "notifications", { unread: await unreadNotificationCount(username) });
+  return result.changes;
+}
+
+// newest first; ?before=<id> pages back, ?unread=1 skips the read ones
+app.get("/api/notifications", requireAuth, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 30)));
+    const before = Number(req.query.before || 0);
+    const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+    const rows = await dbAll(
+      `SELECT n.id, n.message_id, n.created_at, n.read_at FROM mentions n
+       WHERE n.username = ? AND (? = 0 OR n.id < ?) AND (? = 0 OR n.read_at IS NULL) AND ${NOTIFICATION_VISIBLE}
+       ORDER BY n.id DESC LIMIT ?`,
+      [username, before, before, unreadOnly ? 1 : 0, limit]
+    );
+    const messages = rows.length
+      ? await decorateMessages(await dbAll(
+          `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id IN (${rows.map(() => "?").join(", ")})`,
+          rows.map(r => r.message_id)
+        ))
+      : [];
+    const byId = new Map(messages.map(m => [m.id, m]));
+    res.json({
+      ok: true,
+      notifications: rows.map(r => ({ id: r.id, created_at: r.created_at, read_at: r.read_at, message: byId.get(r.message_id) })),
+      unread: await unreadNotificationCount(username)
+    });
+  } catch (e) {
+    console.error("notifications error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { ids: [..] } marks those; no ids marks everything
+app.post("/api/notifications/read", requireAuth, async (req, res) => {
+  try {
+    const username = req.user.username;
+    if (req.body?.ids !== undefined) {
+      const ids = Array.isArray(req.body.ids) ? [...new Set(req.body.ids.map(Number))] : [];
+      if (!ids.length || ids.length > 500 || !ids.every(Number.isSafeInteger)) {
+        return res.status(400).json({ error: "Invalid ids" });
+      }
+      await markNotificationsRead(username, `id IN (${ids.map(() => "?").join(", ")})`, ids);
+    } else {
+      await markNotificationsRead(username, "1 = 1", []);
+    }
+    res.json({ ok: true, unread: await unreadNotificationCount(username) });
+  } catch (e) {
+    console.error("notifications read error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// username completion for "@": prefix match, people online first
+app.get("/api/users", requireAuth, async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim().toLowerCase().slice(0, MENTION_NAME_MAX) : "";
+    const rows = await dbAll(
+      `SELECT username FROM users WHERE substr(lower(username), 1, ?) = ? ORDER BY username COLLATE NOCASE LIMIT 50`,
+      [q.length, q]
+    );
+    const users = rows
+      .map(r => ({ username: r.username, online: isVisiblyOnline(r.username) }))
+      .sort((a, b) => b.online - a.online)
+      .slice(0, 10);
+    res.json({ ok: true, users });
+  } catch (e) {
+    console.error("users lookup error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- reactions
+const MAX_REACTION_KINDS = 20; // distinct emoji per message
+
+// one emoji "character" (flags, ZWJ sequences and skin tones included), nothing else
+function validateEmoji(e) {
+  if (typeof e !== "string" || !e || e.length > 16) return false;
+  if (!/^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200D|\uFE0F|\u20E3|[0-9#*])+$/u.test(e)) {
+    return false;
+  }
+  return /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(e);
+}
+
+async function broadcastReactions(msg, change) {
+  const [withReactions] = await attachReactions([{ id: msg.id }]);
+  sseToChannel(msg, "reaction", {
+    message_id: msg.id,
+    room_id: msg.room_id,
+    conversation_id: msg.conversation_id,
+    ...change,
+    reactions: withReactions.reactions
+  });
+  return withReactions.reactions;
+}
+
+app.post("/api/messages/:id/reactions", requireAuth, requireMessageAccess, async (req, res) => {
+  try {
+    const emoji = req.body?.emoji;
+    if (!validateEmoji(emoji)) return res.status(400).json({ error: "Invalid emoji" });
+    if (req.message.deleted_at) return res.status(409).json({ error: "Message was deleted" });
+
+    const kinds = await dbAll(`SELECT DISTINCT emoji FROM reactions WHERE message_id = ?`, [req.message.id]);
+    if (kinds.length >= MAX_REACTION_KINDS && !kinds.some(k => k.emoji === emoji)) {
+      return res.status(400).json({ error: "Too many different reactions" });
+    }
+
+    const result = await dbRun(
+      `INSERT OR IGNORE INTO reactions (message_id, username, emoji, created_at) VALUES (?, ?, ?, ?)`,
+      [req.message.id, req.user.username, emoji, new Date().toISOString()]
+    );
+    const reactions = result.changes
+      ? await broadcastReactions(req.message, { action: "add", emoji, username: req.user.username })
+      : (await attachReactions([{ id: req.message.id }]))[0].reactions;
+    res.json({ ok: true, reactions });
+  } catch (e) {
+    console.error("reaction add error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// emoji comes from the JSON body or ?emoji=
+app.delete("/api/messages/:id/reactions", requireAuth, requireMessageAccess, async (req, res) => {
+  try {
+    const emoji = req.body?.emoji ?? req.query.emoji;
+    if (!validateEmoji(emoji)) return res.status(400).json({ error: "Invalid emoji" });
+
+    const result = await dbRun(
+      `DELETE FROM reactions WHERE message_id = ? AND username = ? AND emoji = ?`,
+      [req.message.id, req.user.username, emoji]
+    );
+    const reactions = result.changes
+      ? await broadcastReactions(req.message, { action: "remove", emoji, username: req.user.username })
+      : (await attachReactions([{ id: req.message.id }]))[0].reactions;
+    res.json({ ok: true, reactions });
+  } catch (e) {
+    console.error("reaction remove error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- attachments
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const THUMB_MAX_WIDTH = 320;
+const THUMB_MAX_HEIGHT = 240;
+// served inline; everything else is forced to download
+const INLINE_MIME_TYPES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString("hex"))
+  }),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1, fields: 0 },
+  defParamCharset: "utf8", // browsers send raw UTF-8 filenames
+  fileFilter(req, file, cb) {
+    if (!UPLOAD_MIME_TYPES.has(file.mimetype)) {
+      return cb(Object.assign(new Error("File type not allowed"), { status: 415 }));
+    }
+    cb(null, true);
+  }
+});
+
+// Reads dimensions from PNG/GIF/JPEG/WebP headers; null if the bytes aren't one of those.
+function imageInfo(buf) {
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47 && buf.toString("ascii", 12, 16) === "IHDR") {
+    return { mime: "image/png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length >= 10 && /^GIF8[79]a$/.test(buf.toString("ascii", 0, 6))) {
+    return { mime: "image/gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf.length >= 30 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = buf.toString("ascii", 12, 16);
+    if (chunk === "VP8 ") {
+      return { mime: "image/webp", width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L") {
+      const bits = buf.readUInt32LE(21);
+      return { mime: "image/webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X") {
+      return { mime: "image/webp", width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    // walk the JPEG segments until a start-of-frame marker
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) return null;
+      const marker = buf[i + 1];
+      if (marker === 0xff) {
+        i += 1;
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { mime: "image/jpeg", width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+      }
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+  }
+  return null;
+}
+
+async function readHead(filePath, bytes) {
+  const fh = await fs.promises.open(filePath, "r");
+  try {
+    const buf = Buffer.alloc(bytes);
+    const { bytesRead } = await fh.read(buf, 0, bytes, 0);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+function attachmentJson(a) {
+  const out = {
+    id: a.id,
+    name: a.original_name,
+    mime: a.mime,
+    size: a.size,
+    url: `/api/attachments/${a.id}`,
+    is_image: INLINE_MIME_TYPES.has(a.mime)
+  };
+  if (a.width && a.height) {
+    const scale = Math.min(1, THUMB_MAX_WIDTH / a.width, THUMB_MAX_HEIGHT / a.height);
+    out.width = a.width;
+    out.height = a.height;
+    out.thumb = { width: Math.round(a.width * scale), height: Math.round(a.height * scale) };
+  }
+  return out;
+}
+
+async function attachAttachments(messages) {
+  const live = messages.filter(m => !m.deleted_at);
+  for (const m of messages) m.attachments = [];
+  if (!live.length) return messages;
+  const rows = await dbAll(
+    `SELECT * FROM attachments WHERE message_id IN (${live.map(() => "?").join(", ")}) ORDER BY id ASC`,
+    live.map(m => m.id)
+  );
+  const byId = new Map(messages.map(m => [m.id, m]));
+  for (const a of rows) byId.get(a.message_id)?.attachments.push(attachmentJson(a));
+  return messages;
+}
+
+async function removeAttachments(rows) {
+  for (const a of rows) {
+    await fs.promises.unlink(path.join(UPLOAD_DIR, a.stored_name)).catch(() => {});
+    await dbRun(`DELETE FROM attachments WHERE id = ?`, [a.id]);
+  }
+}
+
+// multipart, single field "file"; the returned id goes into the message's attachment_ids
+app.post("/api/uploads", requireAuth, requireNotMuted, limitPosting, (req, res) => {
+  upload.single("file")(req, res, async (err) => {
+    const file = req.file;
+    const discard = () => (file ? fs.promises.unlink(file.path).catch(() => {}) : Promise.resolve());
+    try {
+      if (err) {
+        await discard();
+        if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "File too large" });
+        return res.status(err.status || 400).json({ error: err.status ? err.message : "Invalid upload" });
+      }
+      if (!file) return res.status(400).json({ error: "No file" });
+
+      // don't trust the declared type for images: it decides inline rendering
+      let width = null;
+      let height = null;
+      if (file.mimetype.startsWith("image/")) {
+        const info = imageInfo(await readHead(file.path, 256 * 1024));
+        if (!info || info.mime !== file.mimetype) {
+          await discard();
+          return res.status(415).json({ error: "File doesn't look like a " + file.mimetype });
+        }
+        width = info.width;
+        height = info.height;
+      }
+
+      const name = sanitizeText(file.originalname).replace(/[\\/]/g, "_").slice(0, 200) || "file";
+      const now = new Date().toISOString();
+      const result = await dbRun(
+        `INSERT INTO attachments (uploader, original_name, stored_name, mime, size, width, height, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [req.user.username, name, file.filename, file.mimetype, file.size, width, height, now]
+      );
+      const row = await dbGet(`SELECT * FROM attachments WHERE id = ?`, [result.lastID]);
+      res.json({ ok: true, attachment: attachmentJson(row) });
+    } catch (e) {
+      await discard();
+      console.error("upload error", e);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+});
+
+app.get("/api/attachments/:id", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const a = Number.isSafeInteger(id)
+      ? await dbGet(
+          `SELECT a.*, m.deleted_at FROM attachments a LEFT JOIN messages m ON m.id = a.message_id
+           WHERE a.id = ? AND (
+             (a.message_id IS NULL AND a.uploader = ?)
+             OR m.room_id IN (SELECT room_id FROM room_members WHERE username = ?)
+             OR m.conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = ?)
+           )`,
+          [id, req.user.username, req.user.username, req.user.username]
+        )
+      : null;
+    if (!a || a.deleted_at) return res.status(404).json({ error: "Attachment not found" });
+
+    const inline = INLINE_MIME_TYPES.has(a.mime) && req.query.download !== "1";
+    const asciiName = a.original_name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+    res.setHeader("Content-Type", inline ? a.mime : "application/octet-stream");
+    res.setHeader(
+      "Content-Disposition",
+      `${inline ? "inline" : "attachment"}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(a.original_name)}`
+    );
+    res.setHeader("Content-Security-Policy", "default-src 'none'; sandbox");
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    res.sendFile(path.join(UPLOAD_DIR, a.stored_name), err => {
+      if (err && !res.headersSent) res.status(404).json({ error: "Attachment not found" });
+    });
+  } catch (e) {
+    console.error("attachment get error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- link previews
+// After a message is posted (or edited) its first link is fetched server-side and a card
+// (title, description, image) follows as a "message_update" event. Every hop of the fetch,
+// redirects included, must resolve to a public address; bodies are capped and time-limited.
+// Images are stored with the preview and served from here, so viewers never contact the site.
+const UNFURL_CACHE_MS = 24 * 60 * 60 * 1000; // a URL is fetched again after this
+const UNFURL_MAX_REDIRECTS = 3;
+const UNFURL_URL_MAX = 2000;
+const UNFURL_USER_AGENT = "ChachChatBot/1.0 (link preview)";
+const UNFURL_IMAGE_TYPES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+const PREVIEW_TITLE_MAX = 200;
+const PREVIEW_DESCRIPTION_MAX = 300;
+const PREVIEW_SITE_MAX = 100;
+
+// loopback, private, link-local, CGNAT, multicast, documentation and other special-use ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 127], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["100::", 64], ["2001::", 23], ["2001:db8::", 32],
+  ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(addr, prefix, "ipv6");
+}
+
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  return !family || PRIVATE_ADDRESSES.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+// dns.lookup that refuses hosts resolving to a private address; checked at connect time,
+// so a name can't pass the check and then rebind to 127.0.0.1
+function unfurlLookup(hostname, options, callback) {
+  dns.lookup(hostname, { all: true, family: options.family || 0 }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!UNFURL_ALLOWED_HOSTS.has(hostname.toLowerCase()) && addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: "EPRIVATE" }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// GET that follows a few redirects; resolves { url, type, charset, body, truncated }. Bodies over maxBytes
+// are cut short when `truncate` (the <head> of a page is all we need), refused otherwise.
+function unfurlGet(url, { maxBytes, truncate }, redirects = UNFURL_MAX_REDIRECTS, deadline = Date.now() + UNFURL_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (target.protocol !== "http:" && target.protocol !== "https:") return reject(new Error("Unsupported URL"));
+    // IP literals never reach the lookup
+    if (net.isIP(host) && !UNFURL_ALLOWED_HOSTS.has(host.toLowerCase()) && isPrivateAddress(host)) {
+      return reject(new Error("Private address"));
+    }
+    const req = (target.protocol === "https:" ? https : http).get(target, {
+      lookup: unfurlLookup,
+      headers: { "User-Agent": UNFURL_USER_AGENT, Accept: "text/html,application/xhtml+xml,image/*;q=0.8" }
+    }, (res) => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        clearTimeout(timer);
+        if (!redirects) return reject(new Error("Too many redirects"));
+        let next;
+        try {
+          next = new URL(res.headers.location, target).href;
+        } catch {
+          return reject(new Error("Bad redirect"));
+        }
+        return unfurlGet(next, { maxBytes, truncate }, redirects - 1, deadline).then(resolve, reject);
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        clearTimeout(timer);
+        return reject(new Error(`HTTP ${res.statusCode}`));
+      }
+      const [type, ...params] = String(res.headers["content-type"] || "").toLowerCase().split(";").map(p => p.trim());
+      const charset = params.find(p => p.startsWith("charset="))?.slice(8).replace(/"/g, "") || null;
+      if (!truncate && Number(res.headers["content-length"]) > maxBytes) {
+        res.destroy();
+        clearTimeout(timer);
+        return reject(new Error("Too large"));
+      }
+      const chunks = [];
+      let size = 0;
+      let cut = false;
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          chunks.push(chunk.subarray(0, chunk.length - (size - maxBytes)));
+          cut = true;
+          res.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on("error", reject);
+      res.on("close", () => {
+        clearTimeout(timer);
+        if (cut && !truncate) return reject(new Error("Too large"));
+        if (!cut && !res.complete) return reject(new Error("Connection closed"));
+        resolve({ url: target.href, type, charset, body: Buffer.concat(chunks), truncated: cut });
+      });
+    });
+    const timer = setTimeout(() => req.destroy(new Error("Timed out")), Math.max(0, deadline - Date.now()));
+    req.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|#39|nbsp);/gi, (all, e) => {
+    const k = e.toLowerCase();
+    if (k[0] === "#") {
+      const code = k[1] === "x" ? parseInt(k.slice(2), 16) : parseInt(k.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " }[k];
+  });
+}
+
+function previewText(s, max) {
+  return sanitizeText(decodeEntities(s || "").replace(/\s+/g, " ")).slice(0, max);
+}
+
+// title / description / image from OpenGraph and Twitter card tags, falling back to <title>
+function parsePreview(html, pageUrl) {
+  const meta = {};
+  for (const tag of html.match(/<meta\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi) || []) {
+    const attrs = {};
+    for (const m of tag.matchAll(/([a-z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) {
+      attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4];
+    }
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    if (key && attrs.content != null && !(key in meta)) meta[key] = attrs.content;
+  }
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  let image = null;
+  const rawImage = meta["og:image:secure_url"] || meta["og:image"] || meta["og:image:url"] || meta["twitter:image"];
+  if (rawImage) {
+    try {
+      const u = new URL(decodeEntities(rawImage.trim()), pageUrl);
+      if (u.protocol === "http:" || u.protocol === "https:") image = u.href;
+    } catch {}
+  }
+  return {
+    title: previewText(meta["og:title"] || meta["twitter:title"] || titleTag?.[1], PREVIEW_TITLE_MAX),
+    description: previewText(
+      meta["og:description"] || meta["twitter:description"] || meta.description,
+      PREVIEW_DESCRIPTION_MAX
+    ),
+    site_name: previewText(meta["og:site_name"], PREVIEW_SITE_MAX) || new URL(pageUrl).hostname,
+    image
+  };
+}
+
+function decodeBody(body, charset) {
+  // <meta charset> only counts if the header didn't say
+  const label = charset || /<meta[^>]+charset=["']?([\w-]+)/i.exec(body.subarray(0, 2048).toString("latin1"))?.[1];
+  try {
+    return new TextDecoder(label || "utf-8").decode(body);
+  } catch {
+    return new TextDecoder("utf-8").decode(body);
+  }
+}
+
+async function fetchPreviewImage(url) {
+  try {
+    const img = await unfurlGet(url, { maxBytes: UNFURL_IMAGE_MAX_BYTES, truncate: false });
+    return UNFURL_IMAGE_TYPES.has(img.type) && img.body.length ? img : null;
+  } catch {
+    return null;
+  }
+}
+
+// null when the page has nothing worth a card
+async function scrapePreview(url) {
+  const page = await unfurlGet(url, { maxBytes: UNFURL_MAX_BYTES, truncate: true });
+  // a link straight to an image gets an image-only card
+  if (UNFURL_IMAGE_TYPES.has(page.type)) {
+    const img = !page.truncated && page.body.length <= UNFURL_IMAGE_MAX_BYTES ? page : await fetchPreviewImage(url);
+    return img ? { title: "", description: "", site_name: new URL(page.url).hostname, image: img } : null;
+  }
+  if (page.type !== "text/html" && page.type !== "application/xhtml+xml") return null;
+  const p = parsePreview(decodeBody(page.body, page.charset), page.url);
+  if (!p.title && !p.description) return null;
+  return { ...p, image: p.image ? await fetchPreviewImage(p.image) : null };
+}
+
+const unfurling = new Map(); // url -> pending fetch, so a link pasted twice is fetched once
+
+// id of the cached preview for url (fetching it if stale or new), or null
+async function getPreview(url) {
+  const cached = await dbGet(`SELECT id, status, fetched_at FROM link_previews WHERE url = ?`, [url]);
+  if (cached && Date.now() - Date.parse(cached.fetched_at) < UNFURL_CACHE_MS) {
+    return cached.status === "ok" ? cached.id : null;
+  }
+  if (!unfurling.has(url)) {
+    unfurling.set(url, refreshPreview(url, cached).finally(() => unfurling.delete(url)));
+  }
+  return unfurling.get(url);
+}
+
+async function refreshPreview(url, cached) {
+  const now = new Date().toISOString();
+  let p = null;
+  try {
+    p = await scrapePreview(url);
+  } catch {}
+  if (!p) {
+    // a site that's down for a bit keeps the card it had
+    if (cached) {
+      await dbRun(`UPDATE link_previews SET fetched_at = ? WHERE id = ?`, [now, cached.id]);
+      return cached.status === "ok" ? cached.id : null;
+    }
+    await dbRun(`INSERT OR IGNORE INTO link_previews (url, status, fetched_at) VALUES (?, 'none', ?)`, [url, now]);
+    return null;
+  }
+  await dbRun(
+    `INSERT INTO link_previews (url, status, title, description, site_name, image, image_type, fetched_at)
+     VALUES (?, 'ok', ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (url) DO UPDATE SET status = 'ok', title = excluded.title, description = excluded.description,
+       site_name = excluded.site_name, image = excluded.image, image_type = excluded.image_type,
+       fetched_at = excluded.fetched_at`,
+    [url, p.title, p.description, p.site_name, p.image?.body || null, p.image?.type || null, now]
+  );
+  return (await dbGet(`SELECT id FROM link_previews WHERE url = ?`, [url])).id;
+}
+
+// the message's first link, without its #fragment (the cache key)
+function previewUrl(text) {
+  const [first] = links(text);
+  if (!first || first.length > UNFURL_URL_MAX) return null;
+  try {
+    const u = new URL(first);
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+// runs after the message went out; the card follows as "message_update"
+async function unfurlMessage(msg) {
+  if (!UNFURL_ENABLED) return;
+  const url = previewUrl(msg.text);
+  if (!url) return;
+  const previewId = await getPreview(url);
+  if (!previewId) return;
+  // an edit or delete in the meantime wins
+  const result = await dbRun(
+    `UPDATE messages SET preview_id = ? WHERE id = ? AND text = ? AND deleted_at IS NULL`,
+    [previewId, msg.id, msg.text]
+  );
+  if (!result.changes) return;
+  const [preview] = await previewsFor([previewId]);
+  sseToChannel(msg, "message_update", {
+    id: msg.id,
+    room_id: msg.room_id,
+    conversation_id: msg.conversation_id,
+    parent_id: msg.parent_id,
+    preview: previewJson(preview)
+  });
+}
+
+function previewsFor(ids) {
+  return dbAll(
+    `SELECT id, url, title, description, site_name, image IS NOT NULL AS has_image
+     FROM link_previews WHERE status = 'ok' AND id IN (${ids.map(() => "?").join(", ")})`,
+    ids
+  );
+}
+
+function previewJson(p) {
+  return {
+    url: p.url,
+    title: p.title,
+    description: p.description,
+    site_name: p.site_name,
+    image: p.has_image ? `/api/previews/${p.id}/image` : null
+  };
+}
+
+async function attachPreviews(messages) {
+  for (const m of messages) m.preview = null;
+  const live = messages.filter(m => !m.deleted_at);
+  if (!live.length) return messages;
+  const rows = await dbAll(
+    `SELECT m.id AS message_id, p.id, p.url, p.title, p.description, p.site_name, p.image IS NOT NULL AS has_image
+     FROM messages m JOIN link_previews p ON p.id = m.preview_id
+     WHERE p.status = 'ok' AND m.id IN (${live.map(() => "?").join(", ")})`,
+    live.map(m => m.id)
+  );
+  const byId = new Map(messages.map(m => [m.id, m]));
+  for (const p of rows) byId.get(p.message_id).preview = previewJson(p);
+  return messages;
+}
+
+// only for people who can see a message showing the preview
+app.get("/api/previews/:id/image", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const p = Number.isSafeInteger(id)
+      ? await dbGet(
+          `SELECT p.image, p.image_type FROM link_previews p
+           WHERE p.id = ? AND p.image IS NOT NULL AND EXISTS (
+             SELECT 1 FROM messages m
+             WHERE m.preview_id = p.id AND m.deleted_at IS NULL AND (
+               m.room_id IN (SELECT room_id FROM room_members WHERE username = ?)
+               OR m.conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = ?)
+             )
+           )`,
+          [id, req.user.username, req.user.username]
+        )
+      : null;
+    if (!p) return res.status(404).json({ error: "Preview not found" });
+    res.setHeader("Content-Type", p.image_type);
+    res.setHeader("Content-Security-Policy", "default-src 'none'; sandbox");
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    res.send(p.image);
+  } catch (e) {
+    console.error("preview image error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- search
+// Turn free text into an FTS5 query of quoted terms (prefix match on the last one),
+// so user input can never be parsed as FTS syntax.
+function toFtsQuery(q) {
+  const terms = q.split(/\s+/).filter(Boolean).slice(0, 8);
+  return terms
+    .map((t, i) => `"${t.replace(/"/g, '""')}"${i === terms.length - 1 ? "*" : ""}`)
+    .join(" ");
+}
+
+function parseDateParam(v) {
+  if (typeof v !== "string" || !v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+// snippet() marks hits with these control chars; the client swaps them for <mark>
+const SNIPPET_OPEN = "\u0002";
+const SNIPPET_CLOSE = "\u0003";
+
+app.get("/api/search", requireAuth, async (req, res) => {
+  try {
+    const q = sanitizeText(req.query.q).slice(0, 200);
+    if (!q) return res.status(400).json({ error: "Empty search" });
+    const user = normalizeUsername(req.query.user);
+    const before = parseDateParam(req.query.before);
+    const after = parseDateParam(req.query.after);
+    if (before === undefined || after === undefined) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 30)));
+
+    const conds = [
+      `messages_fts MATCH ?`,
+      `m.deleted_at IS NULL`,
+      `(m.room_id IN (SELECT room_id FROM room_members WHERE username = ?)
+        OR m.conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = ?))`
+    ];
+    const params = [toFtsQuery(q), req.user.username, req.user.username];
+    if (user) {
+      conds.push(`m.username = ?`);
+      params.push(user);
+    }
+    if (before) {
+      conds.push(`m.created_at < ?`);
+      params.push(before);
+    }
+    if (after) {
+      conds.push(`m.created_at > ?`);
+      params.push(after);
+    }
+
+    const rows = await dbAll(
+      `SELECT m.id, m.room_id, m.conversation_id, m.username, m.created_at, r.name AS room_name,
+         snippet(messages_fts, 0, ?, ?, '…', 16) AS snippet
+       FROM messages_fts
+       JOIN messages m ON m.id = messages_fts.rowid
+       LEFT JOIN rooms r ON r.id = m.room_id
+       WHERE ${conds.join(" AND ")}
+       ORDER BY bm25(messages_fts), m.id DESC
+       LIMIT ?`,
+      [SNIPPET_OPEN, SNIPPET_CLOSE, ...params, limit]
+    );
+    res.json({ ok: true, results: rows });
+  } catch (e) {
+    console.error("search error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- moderation
+const MAX_MUTE_MINUTES = 60 * 24 * 30;
+const MOD_REASON_LENGTH = 200;
+
+function modReason(r) {
+  return sanitizeText(r).slice(0, MOD_REASON_LENGTH);
+}
+
+async function logModAction(actor, action, { target = null, messageId = null, reason = "", until = null } = {}) {
+  await dbRun(
+    `INSERT INTO mod_actions (actor, action, target, message_id, reason, until, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [actor, action, target, messageId, modReason(reason), until, new Date().toISOString()]
+  );
+}
+
+// resolves :username to req.target; staff can only act on users ranked below them
+async function requireTarget(req, res, next) {
+  try {
+    const target = await dbGet(
+      `SELECT username, role, muted_until, banned_at FROM users WHERE username = ?`,
+      [req.params.username]
+    );
+    if (!target) return res.status(404).json({ error: "User not found" });
+    if (roleRank(target.role) >= roleRank(req.user.role)) {
+      return res.status(403).json({ error: "You can't moderate this user" });
+    }
+    req.target = target;
+    next();
+  } catch (e) {
+    console.error("target lookup error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// wipes every session and stream; the user has to sign in again
+async function forceLogout(username) {
+  await dbRun(`DELETE FROM sessions WHERE username = ?`, [username]);
+  sseDisconnect(client => client.username === username);
+}
+
+app.get("/api/admin/users", requireAuth, requireRole("moderator"), async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const users = await dbAll(
+      `SELECT id, username, role, created_at, muted_until, banned_at, ban_reason,
+              (SELECT COUNT(*) FROM messages m WHERE m.username = u.username) AS message_count
+       FROM users u
+       WHERE ? = '' OR username LIKE '%' || ? || '%'
+       ORDER BY username COLLATE NOCASE
+       LIMIT 500`,
+      [q, q]
+    );
+    for (const u of users) u.online = presenceCounts.has(u.username);
+    res.json({ ok: true, users });
+  } catch (e) {
+    console.error("admin users error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/actions", requireAuth, requireRole("moderator"), async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const actions = await dbAll(
+      `SELECT id, actor, action, target, message_id, reason, until, created_at
+       FROM mod_actions ORDER BY id DESC LIMIT ?`,
+      [limit]
+    );
+    res.json({ ok: true, actions });
+  } catch (e) {
+    console.error("admin actions error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// removes any message, including ones in rooms / conversations the moderator isn't part of
+app.delete("/api/admin/messages/:id", requireAuth, requireRole("moderator"), async (req, res) => {
+  try {
+    const messageId = Number(req.params.id);
+    const message = Number.isSafeInteger(messageId)
+      ? await dbGet(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id = ?`, [messageId])
+      : null;
+    if (!message) return res.status(404).json({ error: "Message not found" });
+    if (message.deleted_at) return res.status(409).json({ error: "Message was deleted" });
+
+    const msg = await deleteMessage(message);
+    await logModAction(req.user.username, "delete_message", {
+      target: message.username,
+      messageId: message.id,
+      reason: req.body?.reason
+    });
+    res.json({ ok: true, message: msg });
+  } catch (e) {
+    console.error("admin delete error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/admin/users/:username/mute", requireAuth, requireRole("moderator"), requireTarget, async (req, res) => {
+  try {
+    const minutes = Number(req.body?.minutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MUTE_MINUTES) {
+      return res.status(400).json({ error: `Mute for 1 to ${MAX_MUTE_MINUTES} minutes` });
+    }
+    const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    await dbRun(`UPDATE users SET muted_until = ? WHERE username = ?`, [until, req.target.username]);
+    await logModAction(req.user.username, "mute", { target: req.target.username, reason: req.body?.reason, until });
+    sseToUser(req.target.username, "moderation", { action: "mute", muted_until: until });
+    res.json({ ok: true, muted_until: until });
+  } catch (e) {
+    console.error("mute error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/admin/users/:username/mute", requireAuth, requireRole("moderator"), requireTarget, async (req, res) => {
+  try {
+    await dbRun(`UPDATE users SET muted_until = NULL WHERE username = ?`, [req.target.username]);
+    await logModAction(req.user.username, "unmute", { target: req.target.username });
+    sseToUser(req.target.username, "moderation", { action: "unmute", muted_until: null });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("unmute error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/admin/users/:username/ban", requireAuth, requireRole("admin"), requireTarget, async (req, res) => {
+  try {
+    const reason = modReason(req.body?.reason);
+    await dbRun(
+      `UPDATE users SET banned_at = ?, ban_reason = ? WHERE username = ?`,
+      [new Date().toISOString(), reason, req.target.username]
+    );
+    await forceLogout(req.target.username);
+    await logModAction(req.user.username, "ban", { target: req.target.username, reason });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("ban error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/admin/users/:username/ban", requireAuth, requireRole("admin"), requireTarget, async (req, res) => {
+  try {
+    await dbRun(`UPDATE users SET banned_at = NULL, ban_reason = NULL WHERE username = ?`, [req.target.username]);
+    await logModAction(req.user.username, "unban", { target: req.target.username });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("unban error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/admin/users/:username/logout", requireAuth, requireRole("admin"), requireTarget, async (req, res) => {
+  try {
+    await forceLogout(req.target.username);
+    await logModAction(req.user.username, "force_logout", { target: req.target.username, reason: req.body?.reason });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("force logout error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// roles can only be handed out below your own; there is one owner, set via ADMIN_USERNAME
+app.post("/api/admin/users/:username/role", requireAuth, requireRole("admin"), requireTarget, async (req, res) => {
+  try {
+    const role = req.body?.role;
+    if (!Object.hasOwn(ROLE_RANK, role) || role === "owner") {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+    if (roleRank(role) >= roleRank(req.user.role)) {
+      return res.status(403).json({ error: "You can't grant that role" });
+    }
+    await dbRun(`UPDATE users SET role = ? WHERE username = ?`, [role, req.target.username]);
+    for (const client of sseClients) {
+      if (client.username === req.target.username) client.role = role;
+    }
+    await logModAction(req.user.username, "set_role", { target: req.target.username, reason: role });
+    sseToUser(req.target.username, "moderation", { action: "role", role });
+    res.json({ ok: true, role });
+  } catch (e) {
+    console.error("set role error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- reports and review queue
+async function reviewCounts() {
+  const reports = await dbGet(`SELECT COUNT(DISTINCT message_id) AS n FROM reports WHERE status = 'open'`);
+  const held = await dbGet(`SELECT COUNT(*) AS n FROM held_messages WHERE status = 'pending'`);
+  return { reports: reports.n, held: held.n };
+}
+
+// staff clients keep a live count of what's waiting for review
+async function notifyReviewQueue() {
+  sseToStaff("review", await reviewCounts());
+}
+
+app.post("/api/messages/:id/report", requireAuth, requireMessageAccess, limitPosting, async (req, res) => {
+  try {
+    if (req.message.username === req.user.username) {
+      return res.status(400).json({ error: "You can't report your own message" });
+    }
+    if (req.message.deleted_at) return res.status(409).json({ error: "Message was deleted" });
+    // reporting twice is a no-op; the first reason stands
+    await dbRun(
+      `INSERT OR IGNORE INTO reports (message_id, reporter, reason, created_at) VALUES (?, ?, ?, ?)`,
+      [req.message.id, req.user.username, modReason(req.body?.reason), new Date().toISOString()]
+    );
+    await notifyReviewQueue();
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("report error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/review", requireAuth, requireRole("moderator"), async (req, res) => {
+  try {
+    const reportRows = await dbAll(
+      `SELECT id, message_id, reporter, reason, created_at FROM reports WHERE status = 'open' ORDER BY id`
+    );
+    const ids = [...new Set(reportRows.map(r => r.message_id))];
+    const messages = ids.length
+      ? await dbAll(
+          `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id IN (${ids.map(() => "?").join(", ")})`,
+          ids
+        )
+      : [];
+    await attachAttachments(messages);
+    const byId = new Map(messages.map(m => [m.id, { ...m, reports: [] }]));
+    for (const r of reportRows) byId.get(r.message_id)?.reports.push(r);
+
+    const held = await dbAll(
+      `SELECT id, room_id, conversation_id, parent_id, username, text, attachment_ids, matched, created_at
+       FROM held_messages WHERE status = 'pending' ORDER BY id`
+    );
+    for (const h of held) h.attachment_ids = JSON.parse(h.attachment_ids);
+
+    res.json({ ok: true, reported: [...byId.values()], held });
+  } catch (e) {
+    console.error("review list error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// closes every open report on a message, optionally deleting it
+app.post("/api/admin/review/reports/:messageId", requireAuth, requireRole("moderator"), async (req, res) => {
+  try {
+    const action = req.body?.action;
+    if (action !== "dismiss" && action !== "delete") return res.status(400).json({ error: "Invalid action" });
+    const message = await dbGet(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id = ?`, [Number(req.params.messageId)]);
+    if (!message) return res.status(404).json({ error: "Message not found" });
+
+    if (action === "delete" && !message.deleted_at) {
+      await deleteMessage(message);
+      await logModAction(req.user.username, "delete_message", {
+        target: message.username,
+        messageId: message.id,
+        reason: req.body?.reason
+      });
+    } else if (action === "dismiss") {
+      await logModAction(req.user.username, "dismiss_reports", { target: message.username, messageId: message.id });
+    }
+    await dbRun(
+      `UPDATE reports SET status = ?, resolved_by = ?, resolved_at = ? WHERE message_id = ? AND status = 'open'`,
+      [action === "delete" ? "actioned" : "dismissed", req.user.username, new Date().toISOString(), message.id]
+    );
+    await notifyReviewQueue();
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("review report error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/admin/review/held/:id", requireAuth, requireRole("moderator"), async (req, res) => {
+  try {
+    const action = req.body?.action;
+    if (action !== "approve" && action !== "reject") return res.status(400).json({ error: "Invalid action" });
+    const held = await dbGet(`SELECT * FROM held_messages WHERE id = ? AND status = 'pending'`, [Number(req.params.id)]);
+    if (!held) return res.status(404).json({ error: "Nothing to review" });
+
+    const now = new Date().toISOString();
+    await dbRun(
+      `UPDATE held_messages SET status = ?, reviewed_by = ?, reviewed_at = ? WHERE id = ?`,
+      [action === "approve" ? "approved" : "rejected", req.user.username, now, held.id]
+    );
+    await logModAction(req.user.username, action === "approve" ? "approve_held" : "reject_held", {
+      target: held.username,
+      reason: held.matched
+    });
+
+    let message = null;
+    if (action === "approve") {
+      // the thread may have gone away while the message waited; post it at top level then
+      const parent = held.parent_id
+        ? await dbGet(`SELECT id FROM messages WHERE id = ? AND deleted_at IS NULL`, [held.parent_id])
+        : null;
+      const attachmentIds = (await dbAll(
+        `SELECT id FROM attachments WHERE id IN (SELECT value FROM json_each(?)) AND uploader = ? AND message_id IS NULL`,
+        [held.attachment_ids, held.username]
+      )).map(a => a.id);
+      // posted now rather than backdated, so it lands after what was said meanwhile
+      message = await insertMessage({
+        roomId: held.room_id,
+        conversationId: held.conversation_id,
+        parentId: parent ? parent.id : null,
+        username: held.username,
+        text: held.text,
+        kind: held.kind,
+        attachmentIds,
+        createdAt: now
+      });
+    }
+    sseToUser(held.username, "moderation", { action: action === "approve" ? "held_approved" : "held_rejected", held_id: held.id });
+    await notifyReviewQueue();
+    res.json({ ok: true, message });
+  } catch (e) {
+    console.error("review held error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- filter rules (admins)
+app.get("/api/admin/filters", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const rules = await dbAll(
+      `SELECT id, term, list, action, whole_word, created_by, created_at FROM filter_rules ORDER BY list, term`
+    );
+    res.json({ ok: true, rules, lists: FILTER_LISTS });
+  } catch (e) {
+    console.error("filters list error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/admin/filters", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const term = sanitizeText(req.body?.term).toLowerCase();
+    const list = req.body?.list;
+    const action = req.body?.action || FILTER_LISTS[list]?.[0];
+    const wholeWord = req.body?.whole_word ? 1 : 0;
+    if (!Object.hasOwn(FILTER_LISTS, list) || !FILTER_LISTS[list].includes(action)) {
+      return res.status(400).json({ error: "Invalid list or action" });
+    }
+    if (!term || term.length > FILTER_TERM_LENGTH || !compileFilterRule({ term })) {
+      return res.status(400).json({ error: "Invalid term" });
+    }
+
+    const result = await dbRun(
+      `INSERT OR IGNORE INTO filter_rules (term, list, action, whole_word, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      [term, list, action, wholeWord, req.user.username, new Date().toISOString()]
+    );
+    if (!result.changes) return res.status(409).json({ error: "That term is already on the list" });
+    await loadFilterRules();
+    await logModAction(req.user.username, "add_filter", { reason: `${list}/${action}: ${term}` });
+    res.json({ ok: true, rule: { id: result.lastID, term, list, action, whole_word: wholeWord } });
+  } catch (e) {
+    console.error("filter add error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/admin/filters/:id", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const rule = await dbGet(`SELECT id, term, list, action FROM filter_rules WHERE id = ?`, [Number(req.params.id)]);
+    if (!rule) return res.status(404).json({ error: "Rule not found" });
+    await dbRun(`DELETE FROM filter_rules WHERE id = ?`, [rule.id]);
+    await loadFilterRules();
+    await logModAction(req.user.username, "remove_filter", { reason: `${rule.list}/${rule.action}: ${rule.term}` });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("filter delete error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---- bots and webhooks (admins)
+const WEBHOOK_PREFIX = "whk_";
+const WEBHOOK_SECRET_PREFIX = "whsec_";
+const WEBHOOK_URL_MAX = 500;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_POLL_MS = 15_000;
+const WEBHOOK_BATCH = 20;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_MS = 30_000; // doubles each attempt: 30s, 1m, 2m ... about an hour in all
+const WEBHOOK_LOG_DAYS = 7; // delivered / failed deliveries kept this long
+const WEBHOOK_DELIVERY_LIST = 50;
+
+app.get("/api/admin/bots", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const bots = await dbAll(
+      `SELECT u.username, u.created_at, u.banned_at,
+         (SELECT COUNT(*) FROM api_tokens t WHERE t.username = u.username) AS token_count
+       FROM users u WHERE u.is_bot = 1 ORDER BY u.username COLLATE NOCASE`
+    );
+    res.json({ ok: true, bots });
+  } catch (e) {
+    console.error("bots list error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// a bot is a user without a password; it acts through API tokens and incoming webhooks
+app.post("/api/admin/bots", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const username = normalizeUsername(req.body?.username);
+    if (!validateUsername(username)) return res.status(400).json({ error: "Invalid username" });
+    const existing = await dbGet(`SELECT username FROM users WHERE username = ?`, [username]);
+    if (existing) return res.status(409).json({ error: "Username already exists" });
+
+    const now = new Date().toISOString();
+    // not a bcrypt hash, so no password ever matches
+    await dbRun(
+      `INSERT INTO users (username, pass_hash, created_at, is_bot) VALUES (?, '!', ?, 1)`,
+      [username, now]
+    );
+    await dbRun(
+      `INSERT OR IGNORE INTO room_members (room_id, username, joined_at) VALUES (?, ?, ?)`,
+      [DEFAULT_ROOM_ID, username, now]
+    );
+    await logModAction(req.user.username, "create_bot", { target: username });
+    res.json({ ok: true, bot: { username, created_at: now, banned_at: null, token_count: 0 } });
+  } catch (e) {
+    console.error("bot create error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/webhooks", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const incoming = await dbAll(
+      `SELECT w.id, w.prefix, w.username, w.room_id, r.name AS room_name, w.created_by, w.created_at, w.last_used_at
+       FROM incoming_webhooks w LEFT JOIN rooms r ON r.id = w.room_id ORDER BY w.id DESC`
+    );
+    const outgoing = await dbAll(
+      `SELECT w.id, w.url, w.room_id, r.name AS room_name, w.created_by, w.created_at,
+         (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending,
+         (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed
+       FROM outgoing_webhooks w LEFT JOIN rooms r ON r.id = w.room_id ORDER BY w.id DESC`
+    );
+    res.json({ ok: true, incoming, outgoing });
+  } catch (e) {
+    console.error("webhooks list error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { bot, room_id }: the URL is only in this response
+app.post("/api/admin/webhooks/incoming", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const username = normalizeUsername(req.body?.bot);
+    if (!(await isBot(username))) return res.status(404).json({ error: "Bot not found" });
+    const room = await dbGet(`SELECT id, name FROM rooms WHERE id = ?`, [Number(req.body?.room_id)]);
+    if (!room) return res.status(404).json({ error: "Room not found" });
+
+    const now = new Date().toISOString();
+    await dbRun(
+      `INSERT OR IGNORE INTO room_members (room_id, username, joined_at) VALUES (?, ?, ?)`,
+      [room.id, username, now]
+    );
+    setClientRoom(username, room.id, true);
+    const { secret, hash, prefix } = newSecret(WEBHOOK_PREFIX);
+    const result = await dbRun(
+      `INSERT INTO incoming_webhooks (token_hash, prefix, username, room_id, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      [hash, prefix, username, room.id, req.user.username, now]
+    );
+    await logModAction(req.user.username, "add_webhook", { target: username, reason: `incoming #${room.name}` });
+    res.json({
+      ok: true,
+      webhook: { id: result.lastID, prefix, username, room_id: room.id, room_name: room.name, created_by: req.user.username, created_at: now, last_used_at: null },
+      url: `${req.protocol}://${req.get("Host")}/api/hooks/${secret}`
+    });
+  } catch (e) {
+    console.error("incoming webhook create error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/admin/webhooks/incoming/:id", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const result = await dbRun(`DELETE FROM incoming_webhooks WHERE id = ?`, [Number(req.params.id)]);
+    if (!result.changes) return res.status(404).json({ error: "Webhook not found" });
+    await logModAction(req.user.username, "remove_webhook", { reason: `incoming ${req.params.id}` });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("incoming webhook delete error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// { url, room_id? }: every new message in that room (or every room) is POSTed to url, signed with
+// the secret that's only in this response. DMs are never sent.
+app.post("/api/admin/webhooks/outgoing", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    let url = null;
+    try {
+      url = new URL(String(req.body?.url || ""));
+    } catch {}
+    if (!url || !["http:", "https:"].includes(url.protocol) || url.href.length > WEBHOOK_URL_MAX) {
+      return res.status(400).json({ error: "Give an http(s) URL" });
+    }
+    let room = null;
+    if (req.body?.room_id != null) {
+      room = await dbGet(`SELECT id, name FROM rooms WHERE id = ?`, [Number(req.body.room_id)]);
+      if (!room) return res.status(404).json({ error: "Room not found" });
+    }
+
+    const { secret } = newSecret(WEBHOOK_SECRET_PREFIX);
+    const now = new Date().toISOString();
+    const result = await dbRun(
+      `INSERT INTO outgoing_webhooks (url, secret, room_id, created_by, created_at) VALUES (?, ?, ?, ?, ?)`,
+      [url.href, secret, room?.id ?? null, req.user.username, now]
+    );
+    await logModAction(req.user.username, "add_webhook", { reason: `outgoing ${url.origin}` });
+    res.json({
+      ok: true,
+      webhook: { id: result.lastID, url: url.href, room_id: room?.id ?? null, room_name: room?.name ?? null, created_by: req.user.username, created_at: now, pending: 0, failed: 0 },
+      secret
+    });
+  } catch (e) {
+    console.error("outgoing webhook create error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/admin/webhooks/outgoing/:id", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const result = await dbRun(`DELETE FROM outgoing_webhooks WHERE id = ?`, [id]);
+    if (!result.changes) return res.status(404).json({ error: "Webhook not found" });
+    await dbRun(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [id]);
+    await logModAction(req.user.username, "remove_webhook", { reason: `outgoing ${id}` });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("outgoing webhook delete error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/webhooks/outgoing/:id/deliveries", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const deliveries = await dbAll(
+      `SELECT id, event, status, attempts, next_attempt_at, last_status, last_error, created_at, delivered_at
+       FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?`,
+      [Number(req.params.id), WEBHOOK_DELIVERY_LIST]
+    );
+    res.json({ ok: true, deliveries });
+  } catch (e) {
+    console.error("webhook deliveries error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// the URL is the credential: resolves it to its bot and room, then it's an ordinary room post
+async function requireIncomingWebhook(req, res, next) {
+  try {
+    const hook = await dbGet(
+      `SELECT w.id, w.username, w.room_id, w.last_used_at, u.role, u.muted_until, u.banned_at
+       FROM incoming_webhooks w JOIN users u ON u.username = w.username
+       WHERE w.token_hash = ?`,
+      [tokenHash(req.params.token)]
+    );
+    if (!hook) return res.status(404).json({ error: "Webhook not found" });
+    if (hook.banned_at) return res.status(403).json({ error: "This account is banned" });
+    const now = Date.now();
+    if (!hook.last_used_at || now - Date.parse(hook.last_used_at) > SESSION_TOUCH_MS) {
+      await dbRun(`UPDATE incoming_webhooks SET last_used_at = ? WHERE id = ?`, [new Date(now).toISOString(), hook.id]);
+    }
+    req.user = { username: hook.username, token: null, scopes: ["write"], role: hook.role, mutedUntil: hook.muted_until };
+    req.params.id = String(hook.room_id);
+    next();
+  } catch (e) {
+    console.error("incoming webhook error", e);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// { text, parent_id? }, same as posting to the room
+app.post("/api/hooks/:token", requireIncomingWebhook, requireRoomMember, requireNotMuted, limitPosting, (req, res) =>
+  postChannelMessage(req, res, { room_id: req.room.id })
+);
+
+// one delivery per matching outgoing webhook; bots' own posts are skipped so two bots can't loop
+async function queueWebhooks(msg) {
+  if (msg.room_id == null) return;
+  const hooks = await dbAll(
+    `SELECT id FROM outgoing_webhooks WHERE room_id IS NULL OR room_id = ?`,
+    [msg.room_id]
+  );
+  if (!hooks.length || (await isBot(msg.username))) return;
+
+  const room = await dbGet(`SELECT id, name FROM rooms WHERE id = ?`, [msg.room_id]);
+  const payload = JSON.stringify({ event: "message", room, message: msg });
+  const now = new Date().toISOString();
+  for (const hook of hooks) {
+    await dbRun(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at) VALUES (?, 'message', ?, ?, ?)`,
+      [hook.id, payload, now, now]
+    );
+  }
+  deliverWebhooks();
+}
+
+// Receivers check X-ChachChat-Signature: "sha256=" + HMAC-SHA256(secret, timestamp + "." + body),
+// with the timestamp from X-ChachChat-Timestamp (reject old ones to stop replays).
+function webhookSignature(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// outgoing webhooks and bot commands
+function webhookRequest(url, secret, event, deliveryId, body, timeoutMs) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "ChachChat-Webhook",
+      "X-ChachChat-Event": event,
+      "X-ChachChat-Delivery": String(deliveryId),
+      "X-ChachChat-Timestamp": timestamp,
+      "X-ChachChat-Signature": `sha256=${webhookSignature(secret, timestamp, body)}`
+    },
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+}
+
+async function attemptDelivery(d) {
+  let status = null;
+  let error = "";
+  try {
+    const r = await webhookRequest(d.url, d.secret, d.event, d.id, d.payload, WEBHOOK_TIMEOUT_MS);
+    status = r.status;
+    // the answer's body isn't used; don't keep the connection waiting on it
+    await r.body?.cancel();
+    if (status < 200 || status > 299) error = `HTTP ${status}`;
+  } catch (e) {
+    error = e.name === "TimeoutError" ? "Timed out" : String(e.cause?.code || e.message).slice(0, 200);
+  }
+
+  const attempts = d.attempts + 1;
+  const now = Date.now();
+  if (!error) {
+    await dbRun(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, last_status = ?, last_error = '', delivered_at = ? WHERE id = ?`,
+      [attempts, status, new Date(now).toISOString(), d.id]
+    );
+  } else {
+    const gaveUp = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    const next = new Date(now + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+    await dbRun(
+      `UPDATE webhook_deliveries SET status = ?, attempts = ?, last_status = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`,
+      [gaveUp ? "failed" : "pending", attempts, status, error, next, d.id]
+    );
+  }
+}
+
+// one run at a time; a call while it's busy makes it look for due deliveries again afterwards
+let deliveringWebhooks = false;
+let deliverWebhooksAgain = false;
+
+async function deliverWebhooks() {
+  if (deliveringWebhooks) {
+    deliverWebhooksAgain = true;
+    return;
+  }
+  deliveringWebhooks = true;
+  try {
+    do {
+      deliverWebhooksAgain = false;
+      const due = await dbAll(
+        `SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+         FROM webhook_deliveries d JOIN outgoing_webhooks w ON w.id = d.webhook_id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+         ORDER BY d.id LIMIT ?`,
+        [new Date().toISOString(), WEBHOOK_BATCH]
+      );
+      await Promise.all(due.map(attemptDelivery));
+      if (due.length === WEBHOOK_BATCH) deliverWebhooksAgain = true;
+    } while (deliverWebhooksAgain);
+  } catch (e) {
+    console.error("webhook delivery error", e);
+  } finally {
+    deliveringWebhooks = false;
+  }
+}
+
+// Opens a client, SSE or WebSocket: subscriptions and presence first, then the presence
+// snapshot and any replay, while live events wait in client.queue.
+async function attachClient(client, lastEventId) {
+  try {
+    const memberships = await dbAll(`SELECT room_id FROM room_members WHERE username = ?`, [client.username]);
+    for (const m of memberships) client.rooms.add(m.room_id);
+    const convs = await dbAll(
+      `SELECT conversation_id FROM conversation_participants WHERE username = ?`,
+      [client.username]
+    );
+    for (const c of convs) client.conversations.add(c.conversation_id);
+  } catch (e) {
+    console.error("stream rooms error", e);
+  }
+  if (client.closed) return;
+
+  try {
+    await loadPresence(client.username);
+  } catch (e) {
+    console.error("stream presence error", e);
+  }
+  if (client.closed) return;
+
+  presenceInc(client.username);
+  sseClients.add(client);
+
+  let replayedUpTo = 0;
+  try {
+    sseSend(client, sseEvent("presence", await presenceSnapshot()));
+    if (roleRank(client.role) >= ROLE_RANK.moderator) sseSend(client, sseEvent("review", await reviewCounts()));
+    if (Number.isSafeInteger(lastEventId) && lastEventId > 0) {
+      const rows = await dbAll(
+        `SELECT ${MESSAGE_COLUMNS} FROM messages
+         WHERE id > ? AND (
+           room_id IN (SELECT room_id FROM room_members WHERE username = ?)
+           OR conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = ?)
+         )
+         ORDER BY id ASC LIMIT ?`,
+        [lastEventId, client.username, client.username, SSE_REPLAY_LIMIT]
+      );
+      await decorateMessages(rows);
+      for (const m of rows) {
+        sseSend(client, sseEvent("message", m, m.id));
+        replayedUpTo = m.id;
+      }
+    }
+  } catch (e) {
+    console.error("stream replay error", e);
+  }
+
+  const queued = client.queue;
+  client.queue = null;
+  for (const packet of queued) {
+    if (packet.id != null && packet.id <= replayedUpTo) continue;
+    sseSend(client, packet);
+  }
+}
+
+function detachClient(client) {
+  client.closed = true;
+  if (!sseClients.delete(client)) return;
+  presenceDec(client.username);
+  if (!presenceCounts.has(client.username)) typingStopAll(client.username);
+}
+
+// SSE stream
+app.get("/api/stream", requireAuth, async (req, res) => {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // nginx: don't buffer the stream
+  res.flushHeaders();
+  req.socket.setTimeout(0);
+  res.write("retry: 3000\n\n");
+
+  const client = {
+    res,
+    username: req.user.username,
+    token: req.user.token,
+    apiTokenId: req.user.apiTokenId,
+    role: req.user.role,
+    rooms: new Set(),
+    conversations: new Set(),
+    queue: [],
+    closed: false
+  };
+  res.on("close", () => detachClient(client));
+
+  // Resume point: the browser sends Last-Event-ID on reconnect; first connect may pass ?since=
+  await attachClient(client, Number(req.get("Last-Event-ID") || req.query.since || 0));
+});
+
+// ---- export and import
+// GET /api/export streams the messages you can see (admins: all of them with ?all=1) in batches,
+// so a large archive never sits in memory. POST /api/admin/import ingests a JSON export, or a
+// dump of the legacy public/index.js database; every source message is recorded, so running
+// the same file again only adds what's new.
+const EXPORT_BATCH = 500;
+let instanceId = null; // from the settings table, set by initDb
+let importing = false; // one at a time, so two runs of a file can't both find a message new
+const EXPORT_FORMATS = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  txt: "text/plain; charset=utf-8"
+};
+const CSV_COLUMNS = ["id", "created_at", "room", "conversation_id", "parent_id", "username", "kind", "text", "edited_at"];
+const IMPORT_SOURCE_MAX = 64;
+const BCRYPT_HASH = /^\$2[aby]\$\d\d\$[./A-Za-z0-9]{53}$/;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1, fields: 3 }
+});
+
+// resolves once the chunk is buffered, or the client is gone
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// a leading = + - @ makes spreadsheets run the cell as a formula
+function csvField(v) {
+  let s = v == null ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function transcriptLine(m) {
+  const time = m.created_at.replace("T", " ").replace(/\.\d+Z$/, "Z");
+  const where = m.conversation_id != null ? `@${m.participants}` : `#${m.room ?? m.room_id}`;
+  const who = m.kind === "action" ? `* ${m.username}` : `<${m.username}>`;
+  const reply = m.parent_id ? "↪ " : "";
+  const edited = m.edited_at ? " (edited)" : "";
+  // continuation lines are indented so every message still starts with its timestamp
+  return `[${time}] ${where} ${reply}${who} ${m.text.replace(/\n/g, "\n    ")}${edited}\n`;
+}
+
+app.get("/api/export", requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: "Format must be json, csv or txt" });
+    }
+    const from = parseDateParam(req.query.from);
+    let to = parseDateParam(req.query.to);
+    if (from === undefined || to === undefined) return res.status(400).json({ error: "Invalid date" });
+    // "to=2024-01-31" includes that whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) to = new Date(Date.parse(to) + 24 * 60 * 60 * 1000).toISOString();
+    const all = req.query.all === "1";
+    if (all && (roleRank(req.user.role) < ROLE_RANK.admin || !hasScope(req.user, "admin"))) {
+      return res.status(403).json({ error: "Only admins can export every channel" });
+    }
+
+    const conds = ["m.deleted_at IS NULL"];
+    const params = [];
+    if (req.query.room_id != null || req.query.conversation_id != null) {
+      const channel = await readChannel(req.query, req.user.username);
+      if (!channel) return res.status(404).json({ error: "Room not found" });
+      const where = channelFilter(channel);
+      conds.push(`m.${where.sql}`);
+      params.push(where.param);
+    } else if (!all) {
+      conds.push(`(m.room_id IN (SELECT room_id FROM room_members WHERE username = ?)
+        OR m.conversation_id IN (SELECT conversation_id FROM conversation_participants WHERE username = ?))`);
+      params.push(req.user.username, req.user.username);
+    }
+    if (from) {
+      conds.push(`m.created_at >= ?`);
+      params.push(from);
+    }
+    if (to) {
+      conds.push(`m.created_at < ?`);
+      params.push(to);
+    }
+
+    const stamp = new Date().toISOString();
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="chachchat-${stamp.slice(0, 10)}.${format}"`
+    );
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "json") {
+      const head = {
+        format: "chachchat-export", version: 1, source: instanceId, host: req.hostname, exported_at: stamp, from, to
+      };
+      await writeChunk(res, `${JSON.stringify(head).slice(0, -1)},"messages":[\n`);
+    } else if (format === "csv") {
+      await writeChunk(res, `${CSV_COLUMNS.join(",")}\r\n`);
+    }
+
+    const participants = new Map(); // conversation id -> "alice, bob" for the transcript
+    let lastId = 0;
+    let first = true;
+    while (!res.destroyed) {
+      const rows = await dbAll(
+        `SELECT m.id, m.room_id, r.name AS room, m.conversation_id, m.parent_id, m.username, m.text, m.kind,
+           m.created_at, m.edited_at
+         FROM messages m LEFT JOIN rooms r ON r.id = m.room_id
+         WHERE ${conds.join(" AND ")} AND m.id > ?
+         ORDER BY m.id ASC LIMIT ?`,
+        [...params, lastId, EXPORT_BATCH]
+      );
+      if (!rows.length) break;
+      let chunk = "";
+      for (const m of rows) {
+        if (format === "json") {
+          chunk += `${first ? "" : ",\n"}${JSON.stringify(m)}`;
+        } else if (format === "csv") {
+          chunk += `${CSV_COLUMNS.map(c => csvField(m[c])).join(",")}\r\n`;
+        } else {
+          if (m.conversation_id != null && !participants.has(m.conversation_id)) {
+            const people = await dbAll(
+              `SELECT username FROM conversation_participants WHERE conversation_id = ? ORDER BY username`,
+              [m.conversation_id]
+            );
+            participants.set(m.conversation_id, people.map(p => p.username).join(", "));
+          }
+          chunk += transcriptLine({ ...m, participants: participants.get(m.conversation_id) });
+        }
+        first = false;
+      }
+      await writeChunk(res, chunk);
+      lastId = rows[rows.length - 1].id;
+      if (rows.length < EXPORT_BATCH) break;
+    }
+    res.end(format === "json" ? "\n]}\n" : "");
+  } catch (e) {
+    console.error("export error", e);
+    // halfway through a download there's no status left to send
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// legacy rows store Date.now() integers; exports store ISO strings
+function importTime(v) {
+  const d = typeof v === "number" ? new Date(v < 1e11 ? v * 1000 : v) : typeof v === "string" ? new Date(v) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+}
+
+async function importRoom(name, stats, admin) {
+  const room = await dbGet(`SELECT id FROM rooms WHERE name = ?`, [name]);
+  if (room) return room.id;
+  if (!validateRoomName(name)) return null;
+  const result = await dbRun(
+    `INSERT INTO rooms (name, created_by, created_at) VALUES (?, ?, ?)`,
+    [name, admin, new Date().toISOString()]
+  );
+  stats.rooms_created++;
+  return result.lastID;
+}
+
+// multipart: "file" (the JSON), "source" (what the file came from; optional when the file names
+// one, as exports do),
+// "room_id" (put everything in that room) and "user_map" ({"old name": "new name"} as JSON)
+app.post("/api/admin/import", requireAuth, requireRole("admin"), (req, res) => {
+  importUpload.single("file")(req, res, async (err) => {
+    if (importing) return res.status(409).json({ error: "Another import is still running" });
+    importing = true;
+    try {
+      if (err) {
+        if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "File too large" });
+        return res.status(400).json({ error: "Invalid upload" });
+      }
+      if (!req.file) return res.status(400).json({ error: "Choose a JSON file to import" });
+      let doc;
+      try {
+        doc = JSON.parse(req.file.buffer.toString("utf8"));
+      } catch {
+        return res.status(400).json({ error: "That file isn't valid JSON" });
+      }
+      if (!doc || !Array.isArray(doc.messages)) return res.status(400).json({ error: "No messages in that file" });
+      // its messages are the ones already here; under another source name they'd all come back as copies
+      if (doc.source === instanceId) {
+        return res.status(400).json({ error: "That export came from this server, so its messages are already here" });
+      }
+
+      // ids are only unique within one source, so two unnamed dumps would shadow each other's messages
+      const source = sanitizeText(req.body?.source || doc.source || "").slice(0, IMPORT_SOURCE_MAX);
+      if (!source) return res.status(400).json({ error: "Name the source this file came from" });
+      let userMap = {};
+      if (req.body?.user_map) {
+        try {
+          userMap = JSON.parse(req.body.user_map);
+        } catch {}
+        if (!userMap || typeof userMap !== "object" || Array.isArray(userMap)) {
+          return res.status(400).json({ error: "user_map must be a JSON object" });
+        }
+      }
+      const mapUser = (u) => normalizeUsername(Object.hasOwn(userMap, u) ? userMap[u] : u);
+      let targetRoom = null;
+      if (req.body?.room_id) {
+        targetRoom = await dbGet(`SELECT id FROM rooms WHERE id = ?`, [Number(req.body.room_id)]);
+        if (!targetRoom) return res.status(404).json({ error: "Room not found" });
+      }
+
+      const admin = req.user.username;
+      const stats = { users_created: 0, rooms_created: 0, imported: 0, already_imported: 0, skipped: 0 };
+
+      // legacy accounts keep their bcrypt hash, so old passwords keep working; existing names win
+      for (const u of Array.isArray(doc.users) ? doc.users : []) {
+        const username = mapUser(u?.username);
+        const hash = u?.password_hash ?? u?.pass_hash;
+        if (!validateUsername(username) || typeof hash !== "string" || !BCRYPT_HASH.test(hash)) continue;
+        const createdAt = importTime(u.created_at) || new Date().toISOString();
+        const result = await dbRun(
+          `INSERT OR IGNORE INTO users (username, pass_hash, created_at) VALUES (?, ?, ?)`,
+          [username, hash, createdAt]
+        );
+        if (!result.changes) continue;
+        stats.users_created++;
+        await dbRun(
+          `INSERT OR IGNORE INTO room_members (room_id, username, joined_at) VALUES (?, ?, ?)`,
+          [DEFAULT_ROOM_ID, username, createdAt]
+        );
+      }
+
+      // oldest first, so a reply's parent is already mapped when the reply comes up
+      const messages = doc.messages
+        .filter(m => m && typeof m === "object")
+        .map(m => ({ ...m, created: importTime(m.created_at) }))
+        .sort((a, b) => String(a.created).localeCompare(String(b.created)) || (Number(a.id) || 0) - (Number(b.id) || 0));
+      const roomIds = new Map(); // room name -> id
+      // authors need an account here (existing, mapped to or created above): an unclaimed name
+      // would hand the messages to whoever registers it next
+      const accounts = new Map(); // username -> has an account
+      const hasAccount = async (username) => {
+        if (username === DELETED_USERNAME) return true;
+        if (!validateUsername(username)) return false;
+        if (!accounts.has(username)) {
+          accounts.set(username, !!(await dbGet(`SELECT 1 FROM users WHERE username = ?`, [username])));
+        }
+        return accounts.get(username);
+      };
+      for (const m of messages) {
+        const username = mapUser(m.username);
+        const text = sanitizeMessage(m.text).slice(0, MESSAGE_MAX_LENGTH);
+        // DMs stay private to the server they were sent on
+        if (!m.created || !text || m.conversation_id != null || !(await hasAccount(username))) {
+          stats.skipped++;
+          continue;
+        }
+        // without an id, the content itself identifies the message
+        const sourceId = m.id != null
+          ? String(m.id)
+          : crypto.createHash("sha256").update(`${username}\n${m.created}\n${text}`).digest("hex");
+        const done = await dbGet(
+          `SELECT message_id FROM imported_messages WHERE source = ? AND source_id = ?`,
+          [source, sourceId]
+        );
+        if (done) {
+          stats.already_imported++;
+          continue;
+        }
+
+        let roomId = targetRoom?.id ?? DEFAULT_ROOM_ID;
+        if (!targetRoom && typeof m.room === "string" && m.room) {
+          if (!roomIds.has(m.room)) roomIds.set(m.room, await importRoom(m.room, stats, admin));
+          roomId = roomIds.get(m.room);
+          if (roomId == null) {
+            stats.skipped++;
+            continue;
+          }
+        }
+        const parent = m.parent_id != null
+          ? await dbGet(
+              `SELECT i.message_id FROM imported_messages i JOIN messages p ON p.id = i.message_id
+               WHERE i.source = ? AND i.source_id = ? AND p.room_id = ? AND p.parent_id IS NULL`,
+              [source, String(m.parent_id), roomId]
+            )
+          : null;
+        // the message and its record land together, or a rerun would add it again
+        await dbTransaction(async (tx) => {
+          const result = await dbRun(
+            `INSERT INTO messages (room_id, parent_id, username, text, kind, created_at, edited_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [roomId, parent?.message_id ?? null, username, text, m.kind === "action" ? "action" : null, m.created,
+              importTime(m.edited_at)],
+            tx
+          );
+          await dbRun(
+            `INSERT INTO imported_messages (source, source_id, message_id, imported_at) VALUES (?, ?, ?, ?)`,
+            [source, sourceId, result.lastID, new Date().toISOString()],
+            tx
+          );
+        });
+        stats.imported++;
+      }
+
+      await logModAction(admin, "import_history", {
+        reason: `${source}: ${stats.imported} messages, ${stats.users_created} users`
+      });
+      if (stats.rooms_created) sseBroadcast("room", { action: "created" });
+      res.json({ ok: true, source, ...stats });
+    } catch (e) {
+      console.error("import error", e);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      importing = false;
+    }
+  });
+});
+
+// ---- WebSocket transport
+// /api/ws carries the same events as /api/stream (?since= for the resume point). Clients can
+// also send commands instead of POSTing:
+//   { type: "send" | "typing" | "read", ref, room_id | conversation_id, ...same body as the route }
+// and get back { event: "reply", data: { ref, status, body } } with what the route would answer.
+const WS_MAX_PAYLOAD = 64 * 1024;
+const wss = new WebSocketServer({ noServer: true, maxPayload: WS_MAX_PAYLOAD });
+
+// the middleware behind /api/messages, /api/rooms/:id/... and /api/conversations/:id/...
+function wsChannelRoute(cmd, handler, ...middleware) {
+  if (cmd.conversation_id != null) {
+    return {
+      params: { id: cmd.conversation_id },
+      chain: [requireParticipant, ...middleware, (req, res) => handler(req, res, { conversation_id: req.conversation.id })]
+    };
+  }
+  if (cmd.room_id != null) {
+    return {
+      params: { id: cmd.room_id },
+      chain: [requireRoomMember, ...middleware, (req, res) => handler(req, res, { room_id: req.room.id })]
+    };
+  }
+  return { params: {}, chain: [...middleware, (req, res) => handler(req, res, { room_id: DEFAULT_ROOM_ID })] };
+}
+
+const WS_COMMANDS = {
+  send: cmd => wsChannelRoute(cmd, postChannelMessage, requireNotMuted, limitPosting),
+  typing: cmd => wsChannelRoute(cmd, setTyping, requireNotMuted),
+  read: () => ({ params: {}, chain: [updateReadState] })
+};
+
+// the parts of express's res that those routes use
+function wsResponse(done) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader() {
+      return res;
+    },
+    json(body) {
+      done(res.statusCode, body);
+      return res;
+    }
+  };
+  return res;
+}
+
+function runChain(chain, req, res, i = 0) {
+  if (i < chain.length) chain[i](req, res, () => runChain(chain, req, res, i + 1));
+}
+
+async function handleWsCommand(client, upgradeReq, raw) {
+  let cmd;
+  try {
+    cmd = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  if (!cmd || typeof cmd !== "object") return;
+  const reply = (status, body) => sseSend(client, sseEvent("reply", { ref: cmd.ref ?? null, status, body }));
+  if (!Object.hasOwn(WS_COMMANDS, cmd.type)) return reply(400, { error: "Unknown command" });
+
+  try {
+    // the session may have ended since the socket opened; this also picks up role and mute changes
+    const auth = await authenticate(client.token, upgradeReq.ip);
+    if (!auth.user) {
+      reply(auth.status, { error: auth.error });
+      client.ws.close(WS_CLOSE_SIGNED_OUT, "Signed out");
+      return;
+    }
+    client.role = auth.user.role;
+    const route = WS_COMMANDS[cmd.type](cmd);
+    const req = Object.create(upgradeReq);
+    req.user = auth.user;
+    req.body = cmd;
+    req.params = route.params;
+    runChain(route.chain, req, wsResponse(reply));
+  } catch (e) {
+    console.error("websocket command error", e);
+    reply(500, { error: "Server error" });
+  }
+}
+
+function wsReject(socket, status, reason) {
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+async function handleUpgrade(req, socket, head) {
+  socket.on("error", () => {});
+  try {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/api/ws") return wsReject(socket, 404, "Not Found");
+    // express's request getters, so req.ip honours TRUST_PROXY like everywhere else
+    Object.setPrototypeOf(req, app.request);
+    // browsers send cookies along with cross-site WebSocket handshakes and CORS doesn't
+    // apply, so this is the CSRF check
+    const origin = req.headers.origin;
+    let originHost = null;
+    try {
+      originHost = origin ? new URL(origin).host : null;
+    } catch {}
+    if (origin && originHost !== req.headers.host) return wsReject(socket, 403, "Forbidden");
+
+    const auth = await authenticate(parseCookies(req.headers.cookie || "").chachchat_token, req.ip);
+    if (!auth.user) return wsReject(socket, auth.status, auth.status === 403 ? "Forbidden" : "Unauthorized");
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const client = {
+        ws,
+        username: auth.user.username,
+        token: auth.user.token,
+        role: auth.user.role,
+        rooms: new Set(),
+        conversations: new Set(),
+        queue: [],
+        closed: false,
+        alive: true
+      };
+      ws.on("pong", () => { client.alive = true; });
+      ws.on("error", () => {});
+      ws.on("close", () => detachClient(client));
+      ws.on("message", (data, isBinary) => {
+        if (!isBinary) handleWsCommand(client, req, String(data));
+      });
+      attachClient(client, Number(url.searchParams.get("since") || 0));
+    });
+  } catch (e) {
+    console.error("websocket upgrade error", e);
+    wsReject(socket, 500, "Internal Server Error");
+  }
+}
+
+app.use(express.static(path.join(__dirname, "public"), {
+  etag: true,
+  maxAge: "1h",
+  setHeaders(res, filePath) {
+    if (filePath.endsWith(".html")) {
+      // avoid stale HTML
+      res.setHeader("Cache-Control", "no-cache");
+    }
+  }
+}));
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+// the formatter is shared with the server, so it lives outside /public
+app.get("/format.js", (req, res) => {
+  res.sendFile(path.join(__dirname, "format.js"), { maxAge: "1h" });
 });
 
 initDb().then(() => {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`ChachChat listening on port ${PORT}`);
   });
+  server.on("upgrade", handleUpgrade);
 }).catch((e) => {
   console.error("Failed to init DB", e);
   process.exit(1);
@@ -1,14 +1,47 @@
 (() => {
   const $ = (id) => document.getElementById(id);
 
+  // hide the logo if public/logo.png is missing (was an inline onerror, which the CSP now blocks)
+  for (const img of document.querySelectorAll(".brandLogo, .modalLogo")) {
+    const hide = () => { img.style.display = "none"; };
+    img.addEventListener("error", hide);
+    if (img.complete && !img.naturalWidth) hide();
+  }
+
   const messagesEl = $("messages");
   const form = $("form");
   const text = $("text");
+  const sendBtn = $("sendBtn");
   const who = $("who");
   const statusEl = $("status");
   const btnLogout = $("btnLogout");
+  const btnAdmin = $("btnAdmin");
+  const btnAccount = $("btnAccount");
   const onlineCountEl = $("onlineCount");
   const onlineListEl = $("onlineList");
+  const offlineSection = $("offlineSection");
+  const offlineSummary = $("offlineSummary");
+  const offlineListEl = $("offlineList");
+  const statusForm = $("statusForm");
+  const statusSelect = $("statusSelect");
+  const statusTextInput = $("statusText");
+  const chatTitle = $("chatTitle");
+  const btnLeaveRoom = $("btnLeaveRoom");
+  const roomListEl = $("roomList");
+  const roomForm = $("roomForm");
+  const roomName = $("roomName");
+  const dmListEl = $("dmList");
+  const searchForm = $("searchForm");
+  const searchInput = $("searchInput");
+  const searchResultsEl = $("searchResults");
+  const jumpLatest = $("jumpLatest");
+  const typingEl = $("typing");
+  const replyBar = $("replyBar");
+  const replyText = $("replyText");
+  const replyCancel = $("replyCancel");
+  const btnAttach = $("btnAttach");
+  const fileInput = $("fileInput");
+  const pendingFilesEl = $("pendingFiles");
 
   const authModal = $("authModal");
   const authBackdrop = $("authBackdrop");
@@ -19,12 +52,118 @@
   const tabLogin = $("tabLogin");
   const tabRegister = $("tabRegister");
 
+  const accountModal = $("accountModal");
+  const accountBackdrop = $("accountBackdrop");
+  const accountClose = $("accountClose");
+  const accountError = $("accountError");
+  const accountNotice = $("accountNotice");
+  const accountTabs = accountModal.querySelectorAll(".tab[data-pane]");
+  const accountPanes = accountModal.querySelectorAll(".accountPane");
+  const passwordForm = $("passwordForm");
+  const pwCurrent = $("pwCurrent");
+  const pwNew = $("pwNew");
+  const renameForm = $("renameForm");
+  const renameUser = $("renameUser");
+  const renamePass = $("renamePass");
+  const deleteForm = $("deleteForm");
+  const deletePass = $("deletePass");
+  const sessionListEl = $("sessionList");
+  const tokenForm = $("tokenForm");
+  const tokenListEl = $("tokenList");
+  const tokenName = $("tokenName");
+  const tokenAdminScope = $("tokenAdminScope");
+  const tokenSecret = $("tokenSecret");
+  const exportAll = $("exportAll");
+  const btnLogoutOthers = $("btnLogoutOthers");
+  const btnLogoutAll = $("btnLogoutAll");
+
+  const adminModal = $("adminModal");
+  const adminBackdrop = $("adminBackdrop");
+  const adminClose = $("adminClose");
+  const adminError = $("adminError");
+  const adminSearch = $("adminSearch");
+  const adminUsersEl = $("adminUsers");
+  const adminActionsEl = $("adminActions");
+  const adminReviewEl = $("adminReview");
+  const adminFilters = $("adminFilters");
+  const filterForm = $("filterForm");
+  const filterTerm = $("filterTerm");
+  const filterAction = $("filterAction");
+  const filterWhole = $("filterWhole");
+  const filterListEl = $("filterList");
+  const adminImport = $("adminImport");
+  const importForm = $("importForm");
+  const importFile = $("importFile");
+  const importSource = $("importSource");
+  const importResult = $("importResult");
+  const composerHint = $("composerHint");
+  const btnNotifications = $("btnNotifications");
+  const notifCountEl = $("notifCount");
+  const notifPanel = $("notifPanel");
+  const mentionMenu = $("mentionMenu");
+  const commandMenu = $("commandMenu");
+  const chatTopic = $("chatTopic");
+
   let mode = "login"; // or "register"
   let es = null;
-  let lastId = 0;
   let pollTimer = null;
   let onlinePollTimer = null;
 
+  const DEFAULT_ROOM_ID = 1;
+  let myName = "";
+  let myRole = "member";
+  let mutedUntil = null; // ISO time posting is blocked until, while muted
+  let myStatus = "online"; // online / idle / dnd / invisible, as picked
+  let myStatusText = "";
+  let editWindowMs = 0; // 0 = authors can always edit
+  let maxMessageLength = 4000; // the server's MESSAGE_MAX_LENGTH, from /api/me
+  let syncedAt = ""; // server_time of the last fetch, for picking up edits/deletes
+  let viewingHistory = false; // showing an older window (e.g. a search hit), not the live tail
+  let hasOlder = false; // more history above the first rendered message
+  let loadingOlder = false;
+  let replyTo = null; // message the composer is replying to
+  let pendingFiles = []; // uploaded attachments waiting for the next send
+  let rooms = [];
+  let conversations = [];
+  // what the message pane shows: a room or a direct conversation
+  let current = { type: "room", id: DEFAULT_ROOM_ID };
+  const lastIds = new Map(); // channel key -> newest message id seen
+  const unread = new Map(); // channel key -> messages from others we haven't read yet
+  const readPos = new Map(); // channel key -> our last-read message id, as the server knows it
+  let receipts = new Map(); // username -> last-read message id, for the current channel
+  let dividerAfter = 0; // "New messages" goes before the first message from others after this id
+  let onlineNames = [];
+  let notifications = []; // newest first
+  let notifUnread = 0;
+
+  function channelKey(c) {
+    return `${c.type}:${c.id}`;
+  }
+
+  function channelOf(m) {
+    return m.conversation_id
+      ? { type: "dm", id: m.conversation_id }
+      : { type: "room", id: m.room_id || DEFAULT_ROOM_ID };
+  }
+
+  function channelPath(c) {
+    return c.type === "dm" ? `/api/conversations/${c.id}` : `/api/rooms/${c.id}`;
+  }
+
+  function isCurrent(c) {
+    return c.type === current.type && c.id === current.id;
+  }
+
+  function lastIdFor(c) {
+    return lastIds.get(channelKey(c)) || 0;
+  }
+
+  function maxSeenId() {
+    let max = 0;
+    for (const id of lastIds.values()) max = Math.max(max, id);
+    return max;
+  }
+
   function setConnected(on) {
     statusEl.classList.toggle("connected", !!on);
     statusEl.innerHTML = on
@@ -33,22 +172,240 @@
   }
 
 
-  function renderOnline(list) {
+  const STATUS_LABELS = { online: "Online", idle: "Idle", dnd: "Do not disturb", invisible: "Invisible", offline: "Offline" };
+
+  // "5m ago", "3h ago", then the date
+  function lastSeenLabel(iso) {
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return "";
+    const mins = Math.floor((Date.now() - d.getTime()) / 60000);
+    if (mins < 1) return "just now";
+    if (mins < 60) return `${mins}m ago`;
+    if (mins < 24 * 60) return `${Math.floor(mins / 60)}h ago`;
+    if (mins < 7 * 24 * 60) return `${Math.floor(mins / (24 * 60))}d ago`;
+    return d.toLocaleDateString();
+  }
+
+  function presenceItem(u) {
+    const li = document.createElement("li");
+    li.title = u.status === "offline" && u.last_seen_at
+      ? `Last seen ${new Date(u.last_seen_at).toLocaleString()}`
+      : [STATUS_LABELS[u.status], u.status_text].filter(Boolean).join(" — ");
+
+    const dot = document.createElement("span");
+    dot.className = `presenceDot ${u.status}`;
+    li.appendChild(dot);
+
+    const label = u.nick ? `${u.nick} (${u.username})` : u.username;
+    if (u.username === myName) {
+      li.appendChild(document.createTextNode(label));
+    } else {
+      // clicking someone else opens a DM with them
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = label;
+      btn.addEventListener("click", () => startDm(u.username));
+      li.appendChild(btn);
+    }
+
+    const extra = u.status === "offline" ? (u.last_seen_at ? lastSeenLabel(u.last_seen_at) : "") : u.status_text;
+    if (extra) {
+      const el = document.createElement("span");
+      el.className = "statusText";
+      el.textContent = extra;
+      li.appendChild(el);
+    }
+    return li;
+  }
+
+  // p: { online: [username], users: [{ username, status, status_text, last_seen_at }] }
+  function renderOnline(p) {
     if (!onlineCountEl || !onlineListEl) return;
-    const arr = Array.isArray(list) ? list : [];
-    onlineCountEl.textContent = `${arr.length} online`;
+    const online = Array.isArray(p?.online) ? p.online : [];
+    const users = Array.isArray(p?.users) ? p.users : online.map(username => ({ username, status: "online" }));
+    onlineNames = online;
+    onlineCountEl.textContent = `${online.length} online`;
+    for (const conv of conversations) {
+      for (const x of conv.participants || []) x.online = online.includes(x.username);
+    }
+    renderChannels();
+
+    // we see ourselves as we set it, invisible included
+    const present = users.filter(u => u.status !== "offline" && u.username !== myName);
+    if (myName && (online.includes(myName) || (myStatus === "invisible" && realtimeLive()))) {
+      present.unshift({ username: myName, status: myStatus, status_text: myStatusText });
+    }
     onlineListEl.innerHTML = "";
-    for (const u of arr) {
-      const li = document.createElement("li");
-      li.textContent = u;
-      onlineListEl.appendChild(li);
+    for (const u of present) onlineListEl.appendChild(presenceItem(u));
+
+    const offline = users.filter(u => u.status === "offline" && u.username !== myName);
+    offlineListEl.innerHTML = "";
+    for (const u of offline) offlineListEl.appendChild(presenceItem(u));
+    offlineSummary.textContent = `Offline (${offline.length})`;
+    offlineSection.hidden = !offline.length;
+  }
+
+  function setMyStatus(status, statusText) {
+    myStatus = status || "online";
+    myStatusText = statusText || "";
+    statusSelect.value = myStatus;
+    if (document.activeElement !== statusTextInput) statusTextInput.value = myStatusText;
+  }
+
+  async function saveStatus(body) {
+    try {
+      const data = await api("/api/presence", { method: "POST", body: JSON.stringify(body) });
+      setMyStatus(data.status, data.status_text);
+    } catch (e) {
+      flashHint(e.message || "Could not update your status");
+      setMyStatus(myStatus, myStatusText);
+    }
+  }
+
+  function sidebarItem({ label, active, dim, meta, count, onClick }) {
+    const li = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.classList.toggle("active", !!active);
+    btn.classList.toggle("notJoined", !!dim);
+
+    const labelEl = document.createElement("span");
+    labelEl.textContent = label;
+    btn.appendChild(labelEl);
+
+    const metaEl = document.createElement("span");
+    if (meta) {
+      metaEl.className = "roomMeta";
+      metaEl.textContent = meta;
+    } else if (count) {
+      metaEl.className = "badge";
+      metaEl.textContent = count > 99 ? "99+" : String(count);
+    }
+    btn.appendChild(metaEl);
+
+    btn.addEventListener("click", onClick);
+    li.appendChild(btn);
+    return li;
+  }
+
+  function conversationLabel(conv) {
+    const others = (conv.participants || []).filter(p => p.username !== myName);
+    return others.map(p => p.username).join(", ") || myName;
+  }
+
+  function renderChannels() {
+    roomListEl.innerHTML = "";
+    for (const r of rooms) {
+      const c = { type: "room", id: r.id };
+      roomListEl.appendChild(sidebarItem({
+        label: `# ${r.name}`,
+        active: isCurrent(c),
+        dim: !r.joined,
+        meta: r.joined ? "" : "Join",
+        count: isCurrent(c) ? 0 : unread.get(channelKey(c)),
+        onClick: () => openRoom(r)
+      }));
+    }
+
+    dmListEl.innerHTML = "";
+    for (const conv of conversations) {
+      const c = { type: "dm", id: conv.id };
+      const online = (conv.participants || []).some(p => p.username !== myName && p.online);
+      dmListEl.appendChild(sidebarItem({
+        label: `${online ? "● " : ""}${conversationLabel(conv)}`,
+        active: isCurrent(c),
+        count: isCurrent(c) ? 0 : unread.get(channelKey(c)),
+        onClick: () => openConversation(conv)
+      }));
+    }
+
+    if (current.type === "dm") {
+      const conv = conversations.find(x => x.id === current.id);
+      chatTitle.textContent = conv ? `@ ${conversationLabel(conv)}` : "Direct message";
+      chatTopic.textContent = "";
+      btnLeaveRoom.hidden = true;
+    } else {
+      const room = rooms.find(r => r.id === current.id);
+      chatTitle.textContent = room ? `# ${room.name}` : "Chat";
+      chatTopic.textContent = room?.topic || "";
+      chatTopic.title = room?.topic || "";
+      btnLeaveRoom.hidden = !room || room.id === DEFAULT_ROOM_ID;
+    }
+    chatTopic.hidden = !chatTopic.textContent;
+    updateTitle();
+  }
+
+  async function refreshRooms() {
+    try {
+      const data = await api("/api/rooms", { method: "GET" });
+      rooms = data.rooms || [];
+      const lostCurrent = current.type === "room" && !rooms.some(r => r.id === current.id && r.joined);
+      const previousId = current.id;
+      if (lostCurrent) current = { type: "room", id: DEFAULT_ROOM_ID };
+      renderChannels();
+      // e.g. left the room from another tab
+      if (lostCurrent && previousId !== DEFAULT_ROOM_ID) await loadInitial();
+    } catch {
+      // ignore
+    }
+  }
+
+  async function refreshConversations() {
+    try {
+      const data = await api("/api/conversations", { method: "GET" });
+      conversations = data.conversations || [];
+      renderChannels();
+    } catch {
+      // ignore
+    }
+  }
+
+  async function switchTo(c) {
+    stopTyping();
+    current = c;
+    setReplyTo(null);
+    renderTyping();
+    unread.delete(channelKey(c));
+    renderChannels();
+    await loadInitial();
+  }
+
+  async function openRoom(r) {
+    try {
+      if (!r.joined) {
+        await api(`/api/rooms/${r.id}/join`, { method: "POST", body: "{}" });
+        r.joined = true;
+      }
+      await switchTo({ type: "room", id: r.id });
+    } catch {
+      // ignore
+    }
+  }
+
+  async function openConversation(conv) {
+    try {
+      await switchTo({ type: "dm", id: conv.id });
+    } catch {
+      // ignore
+    }
+  }
+
+  async function startDm(username) {
+    try {
+      const data = await api("/api/conversations", { method: "POST", body: JSON.stringify({ username }) });
+      if (!conversations.some(x => x.id === data.conversation.id)) {
+        conversations.unshift(data.conversation);
+      }
+      await openConversation(data.conversation);
+    } catch {
+      // ignore
     }
   }
 
   async function refreshOnline() {
     try {
       const data = await api("/api/online", { method: "GET" });
-      renderOnline(data.online);
+      renderOnline(data);
     } catch {
       // ignore
     }
@@ -85,20 +442,102 @@
   tabLogin.addEventListener("click", () => setMode("login"));
   tabRegister.addEventListener("click", () => setMode("register"));
 
+  // the server's double-submit CSRF check wants the cookie's value echoed in a header
+  function csrfHeaders() {
+    const m = document.cookie.match(/(?:^|;\s*)chachchat_csrf=([^;]+)/);
+    return m ? { "X-CSRF-Token": decodeURIComponent(m[1]) } : {};
+  }
+
   async function api(path, opts = {}) {
     const res = await fetch(path, {
       credentials: "include",
-      headers: { "Content-Type": "application/json" },
-      ...opts
+      ...opts,
+      headers: { "Content-Type": "application/json", ...csrfHeaders(), ...opts.headers }
     });
     const data = await res.json().catch(() => ({}));
-    if (!res.ok) {
-      const msg = data?.error || `Request failed (${res.status})`;
-      throw new Error(msg);
-    }
+    if (!res.ok) throw requestError(res.status, data, res.headers.get("Retry-After"));
     return data;
   }
 
+  function requestError(status, data, retryAfter) {
+    const err = new Error(data?.error || `Request failed (${status})`);
+    err.status = status;
+    err.data = data;
+    if (status === 429) err.retryAfter = Number(data?.retry_after || retryAfter) || 1;
+    return err;
+  }
+
+  // Counts a 429 cooldown down once a second; returns a function that cancels it.
+  function startCooldown(seconds, onTick, onDone) {
+    let left = Math.max(1, Math.ceil(seconds));
+    onTick(left);
+    const timer = setInterval(() => {
+      left -= 1;
+      if (left > 0) return onTick(left);
+      clearInterval(timer);
+      onDone();
+    }, 1000);
+    return () => clearInterval(timer);
+  }
+
+  let authCooldown = null;
+  function showAuthCooldown(seconds) {
+    if (authCooldown) authCooldown();
+    authSubmit.disabled = true;
+    authCooldown = startCooldown(seconds,
+      (n) => setAuthError(`Too many attempts. Try again in ${n}s.`),
+      () => {
+        authCooldown = null;
+        authSubmit.disabled = false;
+        setAuthError("");
+      });
+  }
+
+  let postCooldown = null;
+  function showPostCooldown(seconds) {
+    if (postCooldown) postCooldown();
+    sendBtn.disabled = true;
+    postCooldown = startCooldown(seconds,
+      (n) => { text.placeholder = `Slow down — you can send again in ${n}s`; },
+      () => {
+        postCooldown = null;
+        if (mutedUntil) return;
+        sendBtn.disabled = false;
+        text.placeholder = "Type a message…";
+      });
+  }
+
+  // a short notice under the composer (held for review, blocked words, ...)
+  const DEFAULT_HINT = composerHint.textContent;
+  let hintTimer = null;
+  function flashHint(msg) {
+    clearTimeout(hintTimer);
+    composerHint.textContent = msg;
+    composerHint.classList.add("hintNotice");
+    hintTimer = setTimeout(() => {
+      composerHint.textContent = DEFAULT_HINT;
+      composerHint.classList.remove("hintNotice");
+    }, 6000);
+  }
+
+  let muteTimer = null;
+  function setMuted(until) {
+    clearTimeout(muteTimer);
+    const left = until ? Date.parse(until) - Date.now() : 0;
+    if (left > 0) {
+      mutedUntil = until;
+      sendBtn.disabled = true;
+      text.placeholder = `You are muted until ${fmtTime(until)}`;
+      // setTimeout can't wait longer than ~24 days; re-arm until the mute is over
+      muteTimer = setTimeout(() => setMuted(until), Math.min(left, 2 ** 31 - 1));
+      return;
+    }
+    mutedUntil = null;
+    if (postCooldown) return;
+    sendBtn.disabled = false;
+    text.placeholder = "Type a message…";
+  }
+
   function fmtTime(iso) {
     if (!iso) return "";
     const d = new Date(iso);
@@ -106,188 +545,2183 @@
     return d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
   }
 
-  function escapeHtml(s) {
-    return s.replace(/[&<>"']/g, (c) => ({
-      "&":"&amp;",
-      "<":"&lt;",
-      ">":"&gt;",
-      '"':"&quot;",
-      "'":"&#39;"
-    }[c]));
+  // shared with the server; formatMessage escapes whatever it doesn't format
+  const { formatMessage, escapeHtml } = window.ChachChatFormat;
+
+  const ROLE_RANK = { member: 0, moderator: 1, admin: 2, owner: 3 };
+  function roleRank(role) {
+    return ROLE_RANK[role] || 0;
   }
 
-  function addMessage(m) {
-    if (!m || !m.id) return;
-    lastId = Math.max(lastId, m.id);
+  // moderators can delete anyone's message, without the edit window
+  function canModerate(m) {
+    return !m.deleted_at && m.username !== myName && roleRank(myRole) >= ROLE_RANK.moderator;
+  }
 
-    const div = document.createElement("div");
-    div.className = "msg";
+  function canChange(m) {
+    if (m.username !== myName || m.deleted_at) return false;
+    if (!editWindowMs) return true;
+    return Date.now() - new Date(m.created_at).getTime() < editWindowMs;
+  }
+
+  // nodes inside an expanded thread are rendered without their own quote / thread toggle
+  function isThreadNode(div) {
+    return div.classList.contains("threadMsg");
+  }
+
+  function renderMessage(div, m) {
+    div.classList.toggle("deleted", !!m.deleted_at);
+    div.classList.toggle("mentionsMe", !m.deleted_at && m.username !== myName && (m.mentions || []).includes(myName));
+    // "/me waves" reads as "alice waves"
+    const action = m.kind === "action" && !m.deleted_at;
+    div.classList.toggle("action", action);
+    const edited = m.edited_at && !m.deleted_at ? " (edited)" : "";
+    const actionButtons = [];
+    if (!m.deleted_at) actionButtons.push('<button type="button" data-action="reply">Reply</button>');
+    if (canChange(m)) {
+      actionButtons.push('<button type="button" data-action="edit">Edit</button>');
+      actionButtons.push('<button type="button" data-action="delete">Delete</button>');
+    } else if (canModerate(m)) {
+      actionButtons.push('<button type="button" data-action="delete">Delete</button>');
+    }
+    if (!m.deleted_at && m.username !== myName) {
+      actionButtons.push('<button type="button" data-action="report">Report</button>');
+    }
+    const actions = actionButtons.length ? `<span class="msgActions">${actionButtons.join("")}</span>` : "";
+    const quote = m.parent && !isThreadNode(div)
+      ? `<button type="button" class="msgQuote" data-action="quote">
+          ↪ replying to <b>${escapeHtml(m.parent.username)}</b>:
+          ${m.parent.deleted ? "<i>deleted message</i>" : escapeHtml(m.parent.text)}
+        </button>`
+      : "";
+    const thread = !m.parent_id && !isThreadNode(div)
+      ? '<button type="button" class="threadToggle" data-action="thread" hidden></button><div class="threadView" hidden></div>'
+      : "";
     div.innerHTML = `
+      ${quote}
       <div class="msgTop">
-        <div class="msgUser">${escapeHtml(m.username || "")}</div>
-        <div class="msgTime">${escapeHtml(fmtTime(m.created_at))}</div>
+        <div class="msgUser">${m.nick ? `${escapeHtml(m.nick)}<span class="msgHandle">${escapeHtml(m.username)}</span>` : escapeHtml(m.username || "")}</div>
+        <div class="msgTime">${actions}${escapeHtml(fmtTime(m.created_at) + edited)}</div>
       </div>
-      <div class="msgText">${escapeHtml(m.text || "")}</div>
+      <div class="msgText">${action ? `${escapeHtml(m.nick || m.username)} ` : ""}${m.deleted_at ? "Message deleted" : formatMessage(m.text, { mentions: m.mentions, me: myName })}</div>
+      ${m.deleted_at ? "" : renderPreview(m.preview)}
+      ${renderAttachments(m.attachments)}
+      <div class="reactionBar"></div>
+      ${thread}
     `;
-    messagesEl.appendChild(div);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
+    div._msg = m;
+    renderReactions(div);
+    renderThreadToggle(div);
+    if (div.dataset.threadOpen === "1") loadThread(div);
   }
 
-  async function loadInitial() {
-    messagesEl.innerHTML = "";
-    lastId = 0;
-    const data = await api(`/api/messages?since=0&limit=50`, { method: "GET" });
-    for (const m of data.messages || []) addMessage(m);
+  function renderThreadToggle(div) {
+    const toggle = div.querySelector(":scope > .threadToggle");
+    if (!toggle) return;
+    const n = div._msg.reply_count || 0;
+    const open = div.dataset.threadOpen === "1";
+    toggle.hidden = !n;
+    toggle.textContent = open ? "Hide thread" : `💬 ${n} ${n === 1 ? "reply" : "replies"}`;
   }
 
-  function stopRealtime() {
-    if (es) {
-      try { es.close(); } catch {}
-      es = null;
-    }
-    if (pollTimer) {
-      clearInterval(pollTimer);
-      pollTimer = null;
+  async function loadThread(div) {
+    const view = div.querySelector(":scope > .threadView");
+    if (!view) return;
+    try {
+      const data = await api(`/api/messages/${div._msg.id}/thread`, { method: "GET" });
+      view.innerHTML = "";
+      for (const r of data.replies || []) view.appendChild(createMessageNode(r, true));
+      view.hidden = false;
+    } catch {
+      view.hidden = true;
     }
-    if (onlinePollTimer) {
-      clearInterval(onlinePollTimer);
-      onlinePollTimer = null;
+  }
+
+  function toggleThread(div) {
+    const open = div.dataset.threadOpen !== "1";
+    div.dataset.threadOpen = open ? "1" : "";
+    renderThreadToggle(div);
+    const view = div.querySelector(":scope > .threadView");
+    if (open) loadThread(div);
+    else if (view) view.hidden = true;
+  }
+
+  // a reply (or a deleted reply) changed its root's thread: refresh the count, extend an open thread
+  function updateThreadRoot(parent, reply) {
+    if (!parent) return;
+    const root = messagesEl.querySelector(`:scope > .msg[data-id="${parent.id}"]`);
+    if (!root || !root._msg) return;
+    if (typeof parent.reply_count === "number") root._msg.reply_count = parent.reply_count;
+    renderThreadToggle(root);
+    const view = root.querySelector(":scope > .threadView");
+    if (reply && view && root.dataset.threadOpen === "1" && !view.querySelector(`.msg[data-id="${reply.id}"]`)) {
+      view.appendChild(createMessageNode(reply, true));
     }
-    setConnected(false);
-    renderOnline([]);
   }
 
-  function startPollingFallback() {
-    if (pollTimer) return;
+  function setReplyTo(m) {
+    replyTo = m;
+    replyBar.hidden = !m;
+    replyText.textContent = m ? `Replying to ${m.username}: ${m.text.slice(0, 80)}` : "";
+    if (m) text.focus();
+  }
 
-    pollTimer = setInterval(async () => {
-      try {
-        const data = await api(`/api/messages?since=${lastId}&limit=200`, { method: "GET" });
-        const msgs = data.messages || [];
-        if (msgs.length) {
-          for (const m of msgs) addMessage(m);
-        }
-        setConnected(true);
-      } catch {
-        setConnected(false);
+  function fmtSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  function renderAttachments(list) {
+    if (!list || !list.length) return "";
+    const items = list.map((a) => {
+      const url = escapeHtml(a.url);
+      if (a.is_image) {
+        // thumb size comes from the server so the layout doesn't jump while loading
+        const size = a.thumb ? ` width="${a.thumb.width}" height="${a.thumb.height}"` : "";
+        return `<a class="attachImage" href="${url}" target="_blank" rel="noopener">
+          <img src="${url}" alt="${escapeHtml(a.name)}" loading="lazy"${size} />
+        </a>`;
       }
-    }, 2500);
+      return `<a class="attachFile" href="${url}" download>📄 ${escapeHtml(a.name)} <span>${fmtSize(a.size)}</span></a>`;
+    });
+    return `<div class="attachments">${items.join("")}</div>`;
+  }
 
-    // Presence updates (cheap + separate cadence)
-    if (!onlinePollTimer) {
-      onlinePollTimer = setInterval(() => {
-        refreshOnline();
-      }, 5000);
-    }
+  // the link card the server fetched for the message's first link
+  function renderPreview(p) {
+    if (!p) return "";
+    const image = p.image ? `<img class="linkPreviewImage" src="${escapeHtml(p.image)}" alt="" loading="lazy" />` : "";
+    const body = p.title || p.description
+      ? `<span class="linkPreviewBody">
+          <span class="linkPreviewSite">${escapeHtml(p.site_name || "")}</span>
+          ${p.title ? `<span class="linkPreviewTitle">${escapeHtml(p.title)}</span>` : ""}
+          ${p.description ? `<span class="linkPreviewDesc">${escapeHtml(p.description)}</span>` : ""}
+        </span>`
+      : "";
+    return `<a class="linkPreview${body ? "" : " imageOnly"}" href="${escapeHtml(p.url)}" target="_blank" rel="noopener noreferrer">${body}${image}</a>`;
   }
 
+  // "message_update": the preview arrives a moment after the message
+  function applyPreview(u) {
+    if (!u || !u.id) return;
+    const atBottom = isAtBottom();
+    for (const div of messagesEl.querySelectorAll(`.msg[data-id="${u.id}"]`)) {
+      if (!div._msg || div._msg.deleted_at) continue;
+      div._msg.preview = u.preview;
+      // an open editor keeps its text; the card shows once it closes
+      if (!div.querySelector(":scope > .msgEdit")) renderMessage(div, div._msg);
+    }
+    if (atBottom) messagesEl.scrollTop = messagesEl.scrollHeight;
+  }
 
-  function startRealtime() {
-    stopRealtime();
+  function renderPendingFiles() {
+    pendingFilesEl.innerHTML = "";
+    pendingFilesEl.hidden = !pendingFiles.length;
+    for (const a of pendingFiles) {
+      const chip = document.createElement("span");
+      chip.className = "fileChip";
+      chip.textContent = a.uploading ? `⏳ ${a.name}` : `📎 ${a.name}`;
+      if (!a.uploading) {
+        const x = document.createElement("button");
+        x.type = "button";
+        x.textContent = "✕";
+        x.setAttribute("aria-label", `Remove ${a.name}`);
+        x.addEventListener("click", () => {
+          pendingFiles = pendingFiles.filter(p => p !== a);
+          renderPendingFiles();
+        });
+        chip.appendChild(x);
+      }
+      pendingFilesEl.appendChild(chip);
+    }
+  }
 
-    // Try SSE first
+  async function uploadFile(file) {
+    const placeholder = { name: file.name, uploading: true };
+    pendingFiles.push(placeholder);
+    renderPendingFiles();
     try {
-      es = new EventSource("/api/stream", { withCredentials: true });
-      es.addEventListener("open", () => { setConnected(true); refreshOnline(); });
-      es.addEventListener("error", () => {
-        setConnected(false);
-        try { es.close(); } catch {}
-        es = null;
-        startPollingFallback();
-      });
-      es.addEventListener("message", (ev) => {
-        try {
-          const m = JSON.parse(ev.data);
-          addMessage(m);
-        } catch {}
-      });
-      es.addEventListener("presence", (ev) => {
-        try {
-          const p = JSON.parse(ev.data);
-          renderOnline(p.online);
-        } catch {}
-      });
+      const body = new FormData();
+      body.append("file", file);
+      // no JSON content-type here: the browser sets the multipart boundary
+      const res = await fetch("/api/uploads", { method: "POST", credentials: "include", headers: csrfHeaders(), body });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 429) {
+        showPostCooldown(Number(data?.retry_after || res.headers.get("Retry-After")) || 1);
+      }
+      if (!res.ok) throw new Error(data?.error || `Upload failed (${res.status})`);
+      pendingFiles[pendingFiles.indexOf(placeholder)] = data.attachment;
+    } catch (e) {
+      pendingFiles = pendingFiles.filter(p => p !== placeholder);
+      alert(`${file.name}: ${e.message || "Upload failed"}`);
+    }
+    renderPendingFiles();
+  }
 
-      // safety fallback: if SSE doesn't open quickly, poll
-      setTimeout(() => {
-        if (!es) return;
-        // if not connected yet, start polling too
-        if (!statusEl.classList.contains("connected")) startPollingFallback();
+  const QUICK_REACTIONS = ["👍", "❤️", "😂", "🎉", "😮", "😢", "👀", "✅"];
 
-      // keep presence somewhat fresh even if presence events are missed
-      if (!onlinePollTimer) {
-        onlinePollTimer = setInterval(() => refreshOnline(), 8000);
-      }
-      }, 2000);
-    } catch {
-      startPollingFallback();
+  function renderReactions(div) {
+    const m = div._msg;
+    const bar = div.querySelector(".reactionBar");
+    if (!bar) return;
+    bar.innerHTML = "";
+    if (m.deleted_at) return;
+
+    for (const r of m.reactions || []) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "reaction";
+      btn.classList.toggle("mine", r.users.includes(myName));
+      btn.dataset.emoji = r.emoji;
+      btn.title = r.users.join(", ");
+      btn.textContent = `${r.emoji} ${r.count}`;
+      bar.appendChild(btn);
     }
+
+    const add = document.createElement("button");
+    add.type = "button";
+    add.className = "reaction reactionAdd";
+    add.title = "Add reaction";
+    add.textContent = "+";
+    bar.appendChild(add);
   }
 
-  async function ensureSignedIn() {
-    try {
-      const me = await api("/api/me", { method: "GET" });
-      who.textContent = `You are: ${me.username}`;
-      btnLogout.hidden = false;
-      showAuth(false);
-      setAuthError("");
-      await loadInitial();
-      startRealtime();
-      refreshOnline();
-      return true;
-    } catch {
-      who.textContent = "Not signed in";
-      btnLogout.hidden = true;
-      showAuth(true);
-      stopRealtime();
-      return false;
+  function showReactionPicker(div, anchor) {
+    closeReactionPicker();
+    const picker = document.createElement("div");
+    picker.className = "reactionPicker";
+    for (const emoji of QUICK_REACTIONS) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.dataset.emoji = emoji;
+      btn.textContent = emoji;
+      picker.appendChild(btn);
     }
+    anchor.after(picker);
   }
 
-  authSubmit.addEventListener("click", async () => {
-    const username = authUser.value.trim();
-    const password = authPass.value;
-    setAuthError("");
+  function closeReactionPicker() {
+    for (const el of messagesEl.querySelectorAll(".reactionPicker")) el.remove();
+  }
 
+  async function toggleReaction(div, emoji) {
+    const m = div._msg;
+    const mine = (m.reactions || []).some(r => r.emoji === emoji && r.users.includes(myName));
     try {
-      if (mode === "login") {
-        await api("/api/login", { method: "POST", body: JSON.stringify({ username, password }) });
-      } else {
-        await api("/api/register", { method: "POST", body: JSON.stringify({ username, password }) });
-      }
-      await ensureSignedIn();
-    } catch (e) {
-      setAuthError(e.message || "Request failed");
+      const data = await api(`/api/messages/${m.id}/reactions`, {
+        method: mine ? "DELETE" : "POST",
+        body: JSON.stringify({ emoji })
+      });
+      applyReactions(m.id, data.reactions);
+    } catch {}
+  }
+
+  function applyReactions(messageId, reactions) {
+    for (const div of messagesEl.querySelectorAll(`.msg[data-id="${messageId}"]`)) {
+      if (!div._msg) continue;
+      div._msg.reactions = reactions || [];
+      renderReactions(div);
     }
-  });
+  }
 
-  authPass.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") authSubmit.click();
-  });
-  authUser.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") authPass.focus();
-  });
+  // edits and deletes arrive as full message objects; re-render the node in place
+  function updateMessage(m) {
+    if (!m || !m.id) return;
+    // the same message can be in the feed and in an open thread
+    for (const div of messagesEl.querySelectorAll(`.msg[data-id="${m.id}"]`)) renderMessage(div, m);
+    if (m.parent_id) updateThreadRoot(m.parent);
+  }
 
-  btnLogout.addEventListener("click", async () => {
-    try { await api("/api/logout", { method: "POST", body: "{}" }); } catch {}
-    await ensureSignedIn();
-  });
+  function startEdit(div) {
+    const m = div._msg;
+    const textEl = div.querySelector(".msgText");
+    const input = document.createElement("textarea");
+    input.className = "input msgEdit";
+    input.rows = Math.min(8, (m.text || "").split("\n").length);
+    input.maxLength = maxMessageLength;
+    input.value = m.text || "";
+    textEl.replaceWith(input);
+    input.focus();
 
-  form.addEventListener("submit", async (e) => {
+    let done = false;
+    const finish = async (save) => {
+      if (done) return;
+      done = true;
+      const next = input.value.trim();
+      if (!save || !next || next === m.text) {
+        renderMessage(div, m);
+        return;
+      }
+      try {
+        const data = await api(`/api/messages/${m.id}`, { method: "PATCH", body: JSON.stringify({ text: next }) });
+        updateMessage(data.message);
+      } catch {
+        renderMessage(div, m);
+      }
+    };
+    input.addEventListener("keydown", (e) => {
+      // Shift+Enter is a new line, as in the composer
+      if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+        e.preventDefault();
+        finish(true);
+      }
+      if (e.key === "Escape") finish(false);
+    });
+    input.addEventListener("blur", () => finish(false));
+  }
+
+  // a spoiler hides its text (links included) until it is clicked
+  function revealSpoiler(e) {
+    const spoiler = e.target.closest(".spoiler:not(.revealed)");
+    if (!spoiler) return false;
     e.preventDefault();
-    const msg = text.value.trim();
-    if (!msg) return;
-    text.value = "";
-    try {
-      await api("/api/messages", { method: "POST", body: JSON.stringify({ text: msg }) });
-      // message will appear via SSE/poll; but in case of latency, fetch quickly
-      setTimeout(() => startPollingFallback(), 0);
-    } catch (e) {
-      // if auth expired, prompt sign in
-      await ensureSignedIn();
+    spoiler.classList.add("revealed");
+    return true;
+  }
+  messagesEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") revealSpoiler(e);
+  });
+
+  messagesEl.addEventListener("click", async (e) => {
+    if (revealSpoiler(e)) return;
+    const reactionBtn = e.target.closest(".reaction, .reactionPicker button");
+    if (reactionBtn) {
+      const div = reactionBtn.closest(".msg");
+      if (!div || !div._msg) return;
+      if (reactionBtn.classList.contains("reactionAdd")) {
+        showReactionPicker(div, reactionBtn);
+      } else {
+        closeReactionPicker();
+        toggleReaction(div, reactionBtn.dataset.emoji);
+      }
+      return;
+    }
+    closeReactionPicker();
+
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+    const div = btn.closest(".msg");
+    if (!div || !div._msg) return;
+    if (btn.dataset.action === "reply") {
+      setReplyTo(div._msg);
+    } else if (btn.dataset.action === "thread") {
+      toggleThread(div);
+    } else if (btn.dataset.action === "quote") {
+      const p = div._msg.parent;
+      const root = messagesEl.querySelector(`:scope > .msg[data-id="${p.id}"]`);
+      if (root) root.scrollIntoView({ block: "center" });
+      else jumpToMessage({ id: p.id, room_id: div._msg.room_id, conversation_id: div._msg.conversation_id });
+    } else if (btn.dataset.action === "edit") {
+      startEdit(div);
+    } else if (btn.dataset.action === "report") {
+      const reason = prompt(`Report this message by ${div._msg.username}? Tell the moderators why (optional):`, "");
+      if (reason === null) return;
+      try {
+        await api(`/api/messages/${div._msg.id}/report`, { method: "POST", body: JSON.stringify({ reason }) });
+        flashHint("Thanks, a moderator will take a look.");
+      } catch (err) {
+        flashHint(err.message || "Could not report that message");
+      }
+    } else if (btn.dataset.action === "delete") {
+      if (!confirm("Delete this message?")) return;
+      try {
+        const data = await api(`/api/messages/${div._msg.id}`, { method: "DELETE" });
+        updateMessage(data.message);
+      } catch {}
     }
   });
 
+  function addMessage(m) {
+    if (!m || !m.id) return;
+    const c = channelOf(m);
+    const key = channelKey(c);
+    if (!isCurrent(c)) {
+      // another room / DM: just count it so the sidebar can show a badge
+      if (m.id > lastIdFor(c)) {
+        lastIds.set(key, m.id);
+        if (m.username !== myName) unread.set(key, (unread.get(key) || 0) + 1);
+        // first message of a DM someone else started
+        if (c.type === "dm" && !conversations.some(x => x.id === c.id)) refreshConversations();
+        else renderChannels();
+      }
+      return;
+    }
+    // SSE replay and the POST response can both deliver the same message
+    if (messagesEl.querySelector(`:scope > .msg[data-id="${m.id}"]`)) return;
+    lastIds.set(key, Math.max(lastIdFor(c), m.id));
+    if (m.parent_id) updateThreadRoot(m.parent, m);
+    const fresh = m.username !== myName && m.id > (readPos.get(key) || 0);
+    if (fresh) {
+      // the first unread message since we last caught up starts a new "New messages" run
+      if (!unread.get(key) && !isReading()) dividerAfter = readPos.get(key) || 0;
+      unread.set(key, (unread.get(key) || 0) + 1);
+      updateTitle();
+    }
+    if (viewingHistory) {
+      // appending would leave a gap; "Jump to latest" reloads the tail instead
+      jumpLatest.textContent = "New messages — jump to latest ↓";
+      return;
+    }
+
+    // only follow new messages if the reader is already at the bottom
+    const atBottom = isAtBottom();
+    messagesEl.appendChild(createMessageNode(m));
+    if (fresh) placeDivider();
+    renderReceipts();
+    if (atBottom) messagesEl.scrollTop = messagesEl.scrollHeight;
+    scheduleMarkRead();
+  }
+
+  function isAtBottom() {
+    return messagesEl.scrollHeight - messagesEl.scrollTop - messagesEl.clientHeight < 40;
+  }
+
+  // ---- read receipts
+  const BASE_TITLE = document.title;
+  const MAX_SEEN_NAMES = 3;
+  const SEEN_BY_MESSAGES = 5; // only the newest few messages get a "Seen by" line
+
+  function isReading() {
+    return document.visibilityState === "visible" && !viewingHistory && isAtBottom();
+  }
+
+  function updateTitle() {
+    let count = 0;
+    for (const n of unread.values()) count += n;
+    document.title = count ? `(${count > 99 ? "99+" : count}) ${BASE_TITLE}` : BASE_TITLE;
+  }
+
+  function mainNodes() {
+    return [...messagesEl.querySelectorAll(":scope > .msg")];
+  }
+
+  function placeDivider() {
+    const old = messagesEl.querySelector(":scope > .newDivider");
+    if (old) old.remove();
+    if (!dividerAfter) return;
+    const first = mainNodes().find(n => n._msg && n._msg.id > dividerAfter && n._msg.username !== myName);
+    if (!first) return;
+    const div = document.createElement("div");
+    div.className = "newDivider";
+    div.setAttribute("role", "separator");
+    div.textContent = "New messages";
+    messagesEl.insertBefore(div, first);
+  }
+
+  // everyone else's read position, under the newest message they've seen
+  function renderReceipts() {
+    for (const el of messagesEl.querySelectorAll(":scope > .seenBy")) el.remove();
+    const nodes = mainNodes().slice(-SEEN_BY_MESSAGES);
+    if (!nodes.length) return;
+    const seen = new Map(); // node -> usernames
+    for (const [username, lastReadId] of receipts) {
+      let target = null;
+      for (const n of nodes) {
+        if (Number(n.dataset.id) <= lastReadId) target = n;
+      }
+      if (!target || !target._msg || target._msg.username === username) continue;
+      if (!seen.has(target)) seen.set(target, []);
+      seen.get(target).push(username);
+    }
+    for (const [node, names] of seen) {
+      const el = document.createElement("div");
+      el.className = "seenBy";
+      el.title = names.join(", ");
+      const shown = names.slice(0, MAX_SEEN_NAMES).join(", ");
+      const rest = names.length - MAX_SEEN_NAMES;
+      el.textContent = rest > 0
+        ? `Seen by ${shown} and ${rest} other${rest === 1 ? "" : "s"}`
+        : `Seen by ${shown}`;
+      node.after(el);
+    }
+  }
+
+  // the newest message is on screen and the tab is in front: tell the server
+  function markRead() {
+    if (!myName || !isReading()) return;
+    const c = current;
+    const key = channelKey(c);
+    if (unread.get(key)) {
+      unread.delete(key);
+      updateTitle();
+    }
+    const nodes = mainNodes();
+    const newest = nodes.length ? Number(nodes[nodes.length - 1].dataset.id) : 0;
+    if (!newest || newest <= (readPos.get(key) || 0)) return;
+    readPos.set(key, newest);
+    realtimeCommand("read", c, { last_read_id: newest }, "/api/read").catch(() => {});
+  }
+
+  // scrolling and bursts of messages coalesce into one check
+  let readTimer = null;
+  function scheduleMarkRead() {
+    if (readTimer) return;
+    readTimer = setTimeout(() => {
+      readTimer = null;
+      markRead();
+    }, 300);
+  }
+
+  async function refreshReadState() {
+    try {
+      const data = await api("/api/read", { method: "GET" });
+      for (const r of data.channels || []) {
+        const key = channelKey(r.conversation_id ? { type: "dm", id: r.conversation_id } : { type: "room", id: r.room_id });
+        if (r.last_read_id) readPos.set(key, r.last_read_id);
+        if (r.unread) unread.set(key, r.unread);
+        else unread.delete(key);
+      }
+      renderChannels();
+    } catch {
+      // ignore; counts start from zero
+    }
+  }
+
+  async function loadReceipts(c) {
+    try {
+      const q = c.type === "dm" ? `conversation_id=${c.id}` : `room_id=${c.id}`;
+      const data = await api(`/api/read?${q}`, { method: "GET" });
+      if (!isCurrent(c)) return;
+      receipts = new Map((data.receipts || []).map(r => [r.username, r.last_read_id]));
+      renderReceipts();
+    } catch {
+      // ignore
+    }
+  }
+
+  function applyRead(d) {
+    const c = d.conversation_id ? { type: "dm", id: d.conversation_id } : { type: "room", id: d.room_id };
+    const key = channelKey(c);
+    if (d.username === myName) {
+      // read in another tab or on another device
+      readPos.set(key, Math.max(readPos.get(key) || 0, d.last_read_id));
+      if (d.last_read_id >= lastIdFor(c)) {
+        unread.delete(key);
+        renderChannels();
+      }
+      return;
+    }
+    if (!isCurrent(c)) return;
+    receipts.set(d.username, d.last_read_id);
+    renderReceipts();
+  }
+
+  document.addEventListener("visibilitychange", () => markRead());
+
+  function createMessageNode(m, inThread) {
+    const div = document.createElement("div");
+    div.className = inThread ? "msg threadMsg" : "msg";
+    div.dataset.id = String(m.id);
+    renderMessage(div, m);
+    return div;
+  }
+
+  // infinite scroll: fetch the page before the first rendered message, keeping the view still
+  async function loadOlder() {
+    if (!hasOlder || loadingOlder) return;
+    const first = messagesEl.querySelector(".msg");
+    if (!first) return;
+    loadingOlder = true;
+    const c = current;
+    try {
+      const data = await api(`${channelPath(c)}/messages?before=${first.dataset.id}&limit=50`, { method: "GET" });
+      if (!isCurrent(c)) return;
+      hasOlder = !!data.has_more;
+      const frag = document.createDocumentFragment();
+      for (const m of data.messages || []) {
+        if (!messagesEl.querySelector(`:scope > .msg[data-id="${m.id}"]`)) frag.appendChild(createMessageNode(m));
+      }
+      const prevHeight = messagesEl.scrollHeight;
+      messagesEl.insertBefore(frag, messagesEl.firstChild);
+      messagesEl.scrollTop += messagesEl.scrollHeight - prevHeight;
+    } catch {
+      // ignore; scrolling up again retries
+    } finally {
+      loadingOlder = false;
+    }
+  }
+
+  messagesEl.addEventListener("scroll", () => {
+    if (messagesEl.scrollTop < 80) loadOlder();
+    scheduleMarkRead();
+  });
+
+  function setViewingHistory(on) {
+    viewingHistory = on;
+    jumpLatest.hidden = !on;
+    jumpLatest.textContent = "Jump to latest ↓";
+  }
+
+  async function loadInitial() {
+    setViewingHistory(false);
+    messagesEl.innerHTML = "";
+    hasOlder = false;
+    const c = current;
+    const data = await api(`${channelPath(c)}/messages?latest=1&limit=50`, { method: "GET" });
+    if (!isCurrent(c)) return; // switched channels while loading
+    syncedAt = data.server_time || "";
+    unread.delete(channelKey(c));
+    receipts = new Map();
+    for (const m of data.messages || []) addMessage(m);
+    dividerAfter = readPos.get(channelKey(c)) || 0;
+    placeDivider();
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    // a long backlog: start at the divider rather than past it
+    const divider = messagesEl.querySelector(":scope > .newDivider");
+    if (divider) {
+      const offset = divider.getBoundingClientRect().top - messagesEl.getBoundingClientRect().top;
+      if (offset < 0) messagesEl.scrollTop += offset - 8;
+    }
+    hasOlder = !!data.has_more;
+    markRead();
+    await loadReceipts(c);
+  }
+
+  function stopRealtime() {
+    if (es) {
+      try { es.close(); } catch {}
+      es = null;
+    }
+    if (ws) {
+      const socket = ws;
+      ws = null; // so its close handler doesn't reconnect
+      try { socket.close(); } catch {}
+    }
+    clearTimeout(wsRetryTimer);
+    wsOpenedBefore = false;
+    failWsRequests();
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    if (onlinePollTimer) {
+      clearInterval(onlinePollTimer);
+      onlinePollTimer = null;
+    }
+    setConnected(false);
+    renderOnline(null);
+    clearTyping();
+  }
+
+  // new messages plus edits/deletes since the last fetch of the current channel
+  async function catchUp() {
+    const c = current;
+    const qs = `since=${lastIdFor(c)}&limit=200&changed_since=${encodeURIComponent(syncedAt)}`;
+    const data = await api(`${channelPath(c)}/messages?${qs}`, { method: "GET" });
+    if (!isCurrent(c)) return;
+    syncedAt = data.server_time || syncedAt;
+    for (const m of data.changes || []) updateMessage(m);
+    for (const m of data.messages || []) addMessage(m);
+  }
+
+  function startPollingFallback() {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(async () => {
+      try {
+        await catchUp();
+        setConnected(true);
+      } catch {
+        setConnected(false);
+      }
+    }, 2500);
+
+    // Presence updates (cheap + separate cadence)
+    if (!onlinePollTimer) {
+      onlinePollTimer = setInterval(() => {
+        refreshOnline();
+      }, 5000);
+    }
+  }
+
+
+  // what each realtime event does, whichever transport delivered it
+  const realtimeHandlers = {
+    message: (m) => addMessage(m),
+    presence: (p) => renderOnline(p),
+    message_edit: (m) => updateMessage(m),
+    message_delete: (m) => updateMessage(m),
+    message_update: (u) => applyPreview(u),
+    reaction: (r) => applyReactions(r.message_id, r.reactions),
+    moderation: (d) => {
+      if (d.action === "mute" || d.action === "unmute") setMuted(d.muted_until);
+      if (d.action === "role") setRole(d.role);
+      if (d.action === "held_approved") flashHint("A moderator approved your held message.");
+      if (d.action === "held_rejected") flashHint("A moderator declined your held message.");
+    },
+    review: (d) => setReviewCount(d),
+    typing: (d) => applyTyping(d),
+    mention: (d) => applyMention(d),
+    notifications: (d) => {
+      setNotifUnread(d.unread);
+      refreshNotifications();
+    },
+    read: (d) => applyRead(d),
+    user_renamed: (d) => applyRename(d),
+    user_nick: (d) => applyNick(d),
+    ephemeral: (e) => addEphemeral(e),
+    room: () => refreshRooms(),
+    conversation: () => refreshConversations()
+  };
+
+  function dispatchRealtime(event, data) {
+    if (!Object.hasOwn(realtimeHandlers, event)) return;
+    try { realtimeHandlers[event](data); } catch {}
+  }
+
+  function realtimeLive() {
+    return !!(es || ws);
+  }
+
+  // WebSocket first; SSE if it can't connect (old proxies), polling without EventSource
+  function startRealtime() {
+    stopRealtime();
+    if (typeof WebSocket !== "undefined" && wsFailures < WS_MAX_FAILURES) startWebSocket();
+    else startEventSource();
+  }
+
+  // ---- WebSocket transport: the same events as SSE, plus commands with a reply
+  const WS_MAX_FAILURES = 2; // attempts in a row that never opened before settling for SSE
+  const WS_RETRY_MS = [1000, 2000, 5000, 10000];
+  const WS_REQUEST_TIMEOUT_MS = 10000;
+  const WS_CLOSE_SIGNED_OUT = 4001;
+  let ws = null;
+  let wsRetryTimer = null;
+  let wsFailures = 0;
+  let wsRetries = 0;
+  let wsOpenedBefore = false;
+  let wsRef = 0;
+  const wsPending = new Map(); // ref -> { resolve, reject, timer }
+
+  function startWebSocket() {
+    const proto = location.protocol === "https:" ? "wss:" : "ws:";
+    const socket = new WebSocket(`${proto}//${location.host}/api/ws?since=${maxSeenId()}`);
+    ws = socket;
+    let opened = false;
+    socket.addEventListener("open", () => {
+      opened = true;
+      wsFailures = 0;
+      wsRetries = 0;
+      setConnected(true);
+      // replay only covers new messages; fetch edits/deletes made while we were away
+      if (wsOpenedBefore) catchUp().catch(() => {});
+      wsOpenedBefore = true;
+    });
+    socket.addEventListener("message", (ev) => {
+      let frame;
+      try { frame = JSON.parse(ev.data); } catch { return; }
+      if (frame.event === "reply") settleWsRequest(frame.data || {});
+      else dispatchRealtime(frame.event, frame.data);
+    });
+    socket.addEventListener("close", (ev) => {
+      if (ws !== socket) return; // closed on purpose
+      ws = null;
+      failWsRequests();
+      setConnected(false);
+      // we'd miss the "stopped typing" events while disconnected
+      clearTyping();
+      if (ev.code === WS_CLOSE_SIGNED_OUT) {
+        ensureSignedIn();
+        return;
+      }
+      if (!opened && ++wsFailures >= WS_MAX_FAILURES) {
+        // refused or blocked on the way; SSE also sorts out a lost session
+        startEventSource();
+        return;
+      }
+      wsRetryTimer = setTimeout(startWebSocket, WS_RETRY_MS[Math.min(wsRetries++, WS_RETRY_MS.length - 1)]);
+    });
+  }
+
+  function wsRequest(type, body) {
+    return new Promise((resolve, reject) => {
+      const ref = ++wsRef;
+      const timer = setTimeout(() => {
+        wsPending.delete(ref);
+        reject(offlineError());
+      }, WS_REQUEST_TIMEOUT_MS);
+      wsPending.set(ref, { resolve, reject, timer });
+      ws.send(JSON.stringify({ ...body, type, ref }));
+    });
+  }
+
+  function settleWsRequest({ ref, status, body }) {
+    const pending = wsPending.get(ref);
+    if (!pending) return;
+    wsPending.delete(ref);
+    clearTimeout(pending.timer);
+    if (status >= 200 && status < 300) pending.resolve(body || {});
+    else pending.reject(requestError(status, body || {}));
+  }
+
+  function failWsRequests() {
+    for (const pending of wsPending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(offlineError());
+    }
+    wsPending.clear();
+  }
+
+  function offlineError() {
+    const err = new Error("Connection lost. Try again.");
+    err.offline = true;
+    return err;
+  }
+
+  function channelFields(c) {
+    return c.type === "dm" ? { conversation_id: c.id } : { room_id: c.id };
+  }
+
+  // send / typing / read: over the socket when it's up, else POST to the matching route
+  function realtimeCommand(type, c, body, path) {
+    const payload = { ...body, ...channelFields(c) };
+    if (ws && ws.readyState === WebSocket.OPEN) return wsRequest(type, payload);
+    return api(path, { method: "POST", body: JSON.stringify(payload) });
+  }
+
+  function startEventSource() {
+    if (typeof EventSource === "undefined") {
+      startPollingFallback();
+      return;
+    }
+
+    // The browser reconnects on its own and sends Last-Event-ID, so the server
+    // replays anything we missed; `since` covers the gap after loadInitial.
+    es = new EventSource(`/api/stream?since=${maxSeenId()}`, { withCredentials: true });
+    let opened = false;
+    es.addEventListener("open", () => {
+      setConnected(true);
+      // replay only covers new messages; fetch edits/deletes made while we were away
+      if (opened) catchUp().catch(() => {});
+      opened = true;
+    });
+    es.addEventListener("error", () => {
+      setConnected(false);
+      // we'd miss the "stopped typing" events while disconnected
+      clearTyping();
+      if (es && es.readyState === EventSource.CLOSED) {
+        // server refused the stream: re-check auth, else fall back to polling
+        es = null;
+        api("/api/me", { method: "GET" }).then(startPollingFallback, () => ensureSignedIn());
+      }
+    });
+    for (const event of Object.keys(realtimeHandlers)) {
+      es.addEventListener(event, (ev) => {
+        let data;
+        try { data = JSON.parse(ev.data); } catch {}
+        dispatchRealtime(event, data);
+      });
+    }
+  }
+
+  async function ensureSignedIn() {
+    try {
+      const me = await api("/api/me", { method: "GET" });
+      myName = me.username;
+      searchForm.hidden = false;
+      editWindowMs = (me.edit_window_seconds || 0) * 1000;
+      maxMessageLength = me.max_message_length || maxMessageLength;
+      text.maxLength = maxMessageLength;
+      setRole(me.role);
+      setMuted(me.muted_until);
+      setMyStatus(me.status, me.status_text);
+      statusForm.hidden = false;
+      who.textContent = `You are: ${me.username}`;
+      btnLogout.hidden = false;
+      btnAccount.hidden = false;
+      btnNotifications.hidden = false;
+      showAuth(false);
+      setAuthError("");
+      await refreshRooms();
+      await refreshConversations();
+      await refreshReadState();
+      await loadInitial();
+      startRealtime();
+      refreshNotifications();
+      refreshOnline();
+      return true;
+    } catch {
+      who.textContent = "Not signed in";
+      btnLogout.hidden = true;
+      btnAccount.hidden = true;
+      btnNotifications.hidden = true;
+      statusForm.hidden = true;
+      setMyStatus("online", "");
+      notifPanel.hidden = true;
+      notifications = [];
+      setNotifUnread(0);
+      showAccount(false);
+      myName = "";
+      setRole("member");
+      setMuted(null);
+      searchForm.hidden = true;
+      searchResultsEl.hidden = true;
+      current = { type: "room", id: DEFAULT_ROOM_ID };
+      conversations = [];
+      lastIds.clear();
+      unread.clear();
+      readPos.clear();
+      receipts = new Map();
+      updateTitle();
+      showAuth(true);
+      stopRealtime();
+      return false;
+    }
+  }
+
+  authSubmit.addEventListener("click", async () => {
+    const username = authUser.value.trim();
+    const password = authPass.value;
+    setAuthError("");
+
+    try {
+      if (mode === "login") {
+        await api("/api/login", { method: "POST", body: JSON.stringify({ username, password }) });
+      } else {
+        await api("/api/register", { method: "POST", body: JSON.stringify({ username, password }) });
+      }
+      await ensureSignedIn();
+    } catch (e) {
+      if (e.retryAfter) showAuthCooldown(e.retryAfter);
+      else setAuthError(e.message || "Request failed");
+    }
+  });
+
+  authPass.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") authSubmit.click();
+  });
+  authUser.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") authPass.focus();
+  });
+
+  btnLogout.addEventListener("click", async () => {
+    try { await api("/api/logout", { method: "POST", body: "{}" }); } catch {}
+    await ensureSignedIn();
+  });
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const msg = text.value.trim();
+    if (pendingFiles.some(a => a.uploading)) return;
+    const attachmentIds = pendingFiles.map(a => a.id);
+    if (!msg && !attachmentIds.length) return;
+    text.value = "";
+    fitComposer();
+    hideMentionMenu();
+    hideCommandMenu();
+    askNotificationPermission();
+    const draft = { replyTo, files: pendingFiles };
+    stopTyping(true);
+    const parentId = replyTo ? replyTo.id : undefined;
+    setReplyTo(null);
+    pendingFiles = [];
+    renderPendingFiles();
+    try {
+      const data = await realtimeCommand("send", current,
+        { text: msg, parent_id: parentId, attachment_ids: attachmentIds },
+        `${channelPath(current)}/messages`);
+      if (data.held) {
+        flashHint("Your message is waiting for a moderator to review it.");
+        return;
+      }
+      // a command that answered only us, or not at all
+      if (!data.message) {
+        if (data.ephemeral) addEphemeral(data.ephemeral);
+        return;
+      }
+      // don't wait for the SSE echo; addMessage skips it when it arrives
+      if (viewingHistory) await loadInitial();
+      else addMessage(data.message);
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    } catch (e) {
+      const muted = e.data?.muted_until;
+      if (e.retryAfter || muted || e.status === 400 || e.offline) {
+        // rate limited, muted, rejected or cut off: give the draft back
+        if (!text.value) {
+          text.value = msg;
+          fitComposer();
+        }
+        if (!pendingFiles.length) pendingFiles = draft.files;
+        if (!replyTo) setReplyTo(draft.replyTo);
+        renderPendingFiles();
+        if (muted) setMuted(muted);
+        else if (e.retryAfter) showPostCooldown(e.retryAfter);
+        else flashHint(e.message);
+        return;
+      }
+      // if auth expired, prompt sign in
+      await ensureSignedIn();
+    }
+  });
+
+  roomForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const name = roomName.value.trim();
+    if (!name) return;
+    try {
+      const data = await api("/api/rooms", { method: "POST", body: JSON.stringify({ name }) });
+      roomName.value = "";
+      await refreshRooms();
+      await openRoom(data.room);
+    } catch (err) {
+      roomName.setCustomValidity(err.message || "Could not create room");
+      roomName.reportValidity();
+      roomName.addEventListener("input", () => roomName.setCustomValidity(""), { once: true });
+    }
+  });
+
+  btnLeaveRoom.addEventListener("click", async () => {
+    const c = current;
+    try {
+      await api(`/api/rooms/${c.id}/leave`, { method: "POST", body: "{}" });
+    } catch {}
+    lastIds.delete(channelKey(c));
+    unread.delete(channelKey(c));
+    current = { type: "room", id: DEFAULT_ROOM_ID };
+    await refreshRooms();
+    await loadInitial();
+  });
+
+  // ---- moderation panel
+  function setRole(role) {
+    myRole = role || "member";
+    btnAdmin.hidden = roleRank(myRole) < ROLE_RANK.moderator;
+    adminFilters.hidden = roleRank(myRole) < ROLE_RANK.admin;
+    adminImport.hidden = roleRank(myRole) < ROLE_RANK.admin;
+    if (btnAdmin.hidden) showAdmin(false);
+  }
+
+  function setReviewCount(counts) {
+    const n = (counts.reports || 0) + (counts.held || 0);
+    btnAdmin.textContent = n ? `Moderation (${n})` : "Moderation";
+    if (!adminModal.hidden) refreshReview();
+  }
+
+  function showAdmin(show) {
+    adminModal.hidden = !show;
+    adminBackdrop.hidden = !show;
+    adminError.hidden = true;
+    if (show) {
+      adminSearch.value = "";
+      refreshAdmin();
+    }
+  }
+
+  function setAdminError(msg) {
+    adminError.hidden = !msg;
+    adminError.textContent = msg || "";
+  }
+
+  const MUTE_CHOICES = [["10", "10 min"], ["60", "1 hour"], ["1440", "1 day"], ["10080", "1 week"]];
+
+  function renderAdminUsers(users) {
+    adminUsersEl.innerHTML = "";
+    const myRank = roleRank(myRole);
+    for (const u of users) {
+      const li = document.createElement("li");
+      li.className = "adminUser";
+      li.dataset.username = u.username;
+      const flags = [];
+      if (u.banned_at) flags.push(`banned${u.ban_reason ? `: ${escapeHtml(u.ban_reason)}` : ""}`);
+      if (u.muted_until && Date.parse(u.muted_until) > Date.now()) flags.push(`muted until ${fmtTime(u.muted_until)}`);
+      li.innerHTML = `
+        <span class="adminUserName">
+          ${escapeHtml(u.username)}<span class="roleBadge">${u.role}</span>
+          <span class="muted">${u.online ? "online" : ""} · ${u.message_count} msgs</span>
+          ${flags.length ? `<span class="adminFlag">${flags.join(" · ")}</span>` : ""}
+        </span>
+      `;
+      // staff can only act on users ranked below them
+      if (roleRank(u.role) < myRank) {
+        const muted = u.muted_until && Date.parse(u.muted_until) > Date.now();
+        const controls = [];
+        controls.push(muted
+          ? '<button type="button" class="btn btnSmall" data-admin="unmute">Unmute</button>'
+          : `<select class="input" data-admin="mute" aria-label="Mute ${escapeHtml(u.username)}">
+              <option value="">Mute…</option>
+              ${MUTE_CHOICES.map(([v, label]) => `<option value="${v}">${label}</option>`).join("")}
+            </select>`);
+        if (myRank >= ROLE_RANK.admin) {
+          const roles = Object.keys(ROLE_RANK).filter(r => roleRank(r) < myRank);
+          controls.push(`<select class="input" data-admin="role" aria-label="Role of ${escapeHtml(u.username)}">
+            ${roles.map(r => `<option value="${r}"${r === u.role ? " selected" : ""}>${r}</option>`).join("")}
+          </select>`);
+          controls.push('<button type="button" class="btn btnSmall" data-admin="logout">Log out</button>');
+          controls.push(u.banned_at
+            ? '<button type="button" class="btn btnSmall" data-admin="unban">Unban</button>'
+            : '<button type="button" class="btn btnSmall" data-admin="ban">Ban</button>');
+        }
+        li.insertAdjacentHTML("beforeend", controls.join(""));
+      }
+      adminUsersEl.appendChild(li);
+    }
+    if (!users.length) adminUsersEl.innerHTML = '<li class="muted">No users match.</li>';
+  }
+
+  const ACTION_LABELS = {
+    delete_message: "deleted a message by",
+    mute: "muted",
+    unmute: "unmuted",
+    ban: "banned",
+    unban: "unbanned",
+    force_logout: "signed out",
+    set_role: "changed the role of",
+    dismiss_reports: "dismissed reports against",
+    approve_held: "approved a held message by",
+    reject_held: "declined a held message by",
+    add_filter: "added a word filter",
+    remove_filter: "removed a word filter",
+    create_bot: "created the bot",
+    add_webhook: "added a webhook",
+    remove_webhook: "removed a webhook",
+    import_history: "imported chat history",
+    rename: "renamed themselves from"
+  };
+
+  function renderAdminActions(actions) {
+    adminActionsEl.innerHTML = "";
+    for (const a of actions) {
+      const li = document.createElement("li");
+      const detail = a.action === "set_role" ? ` to ${escapeHtml(a.reason)}`
+        : a.action === "mute" ? ` until ${fmtTime(a.until)}`
+        : "";
+      const reason = a.reason && a.action !== "set_role" ? ` — “${escapeHtml(a.reason)}”` : "";
+      li.innerHTML = `
+        <span class="muted">${new Date(a.created_at).toLocaleString()}</span>
+        <b>${escapeHtml(a.actor)}</b> ${ACTION_LABELS[a.action] || escapeHtml(a.action)}
+        <b>${escapeHtml(a.target || "")}</b>${detail}${reason}
+      `;
+      adminActionsEl.appendChild(li);
+    }
+    if (!actions.length) adminActionsEl.innerHTML = '<li class="muted">Nothing yet.</li>';
+  }
+
+  async function refreshAdmin() {
+    try {
+      const q = encodeURIComponent(adminSearch.value.trim());
+      const [users, log] = await Promise.all([
+        api(`/api/admin/users?q=${q}`, { method: "GET" }),
+        api("/api/admin/actions?limit=50", { method: "GET" })
+      ]);
+      renderAdminUsers(users.users);
+      renderAdminActions(log.actions);
+      await refreshReview();
+      if (!adminFilters.hidden) await refreshFilters();
+    } catch (e) {
+      setAdminError(e.message || "Could not load users");
+    }
+  }
+
+  async function adminAction(username, action, value) {
+    const base = `/api/admin/users/${encodeURIComponent(username)}`;
+    let req;
+    if (action === "mute") {
+      req = [`${base}/mute`, "POST", { minutes: Number(value) }];
+    } else if (action === "unmute") {
+      req = [`${base}/mute`, "DELETE", {}];
+    } else if (action === "ban") {
+      const reason = prompt(`Ban ${username}? Reason (optional):`, "");
+      if (reason === null) return;
+      req = [`${base}/ban`, "POST", { reason }];
+    } else if (action === "unban") {
+      req = [`${base}/ban`, "DELETE", {}];
+    } else if (action === "logout") {
+      if (!confirm(`Sign ${username} out everywhere?`)) return;
+      req = [`${base}/logout`, "POST", {}];
+    } else if (action === "role") {
+      req = [`${base}/role`, "POST", { role: value }];
+    } else {
+      return;
+    }
+    setAdminError("");
+    try {
+      await api(req[0], { method: req[1], body: JSON.stringify(req[2]) });
+    } catch (e) {
+      setAdminError(e.message || "Action failed");
+    }
+    await refreshAdmin();
+  }
+
+  function renderReview(data) {
+    adminReviewEl.innerHTML = "";
+    for (const h of data.held) {
+      const li = document.createElement("li");
+      li.className = "adminUser";
+      li.dataset.held = h.id;
+      li.innerHTML = `
+        <span class="adminUserName">
+          ${escapeHtml(h.username)} <span class="muted">held · matched “${escapeHtml(h.matched)}” · ${fmtTime(h.created_at)}</span>
+        </span>
+        <button type="button" class="btn btnSmall" data-review="approve">Approve</button>
+        <button type="button" class="btn btnSmall" data-review="reject">Decline</button>
+        <div class="adminReviewText">${escapeHtml(h.text)}${h.attachment_ids.length ? ` <span class="muted">+${h.attachment_ids.length} file(s)</span>` : ""}</div>
+      `;
+      adminReviewEl.appendChild(li);
+    }
+    for (const m of data.reported) {
+      const li = document.createElement("li");
+      li.className = "adminUser";
+      li.dataset.reported = m.id;
+      const reasons = m.reports
+        .map(r => `${escapeHtml(r.reporter)}${r.reason ? `: “${escapeHtml(r.reason)}”` : ""}`)
+        .join(" · ");
+      li.innerHTML = `
+        <span class="adminUserName">
+          ${escapeHtml(m.username)} <span class="muted">reported ${m.reports.length}× · ${reasons}</span>
+        </span>
+        <button type="button" class="btn btnSmall" data-review="dismiss">Dismiss</button>
+        ${m.deleted_at ? "" : '<button type="button" class="btn btnSmall" data-review="delete">Delete message</button>'}
+        <div class="adminReviewText">${m.deleted_at ? "<i>already deleted</i>" : escapeHtml(m.text)}</div>
+      `;
+      adminReviewEl.appendChild(li);
+    }
+    if (!adminReviewEl.children.length) adminReviewEl.innerHTML = '<li class="muted">Nothing to review.</li>';
+  }
+
+  async function refreshReview() {
+    try {
+      const data = await api("/api/admin/review", { method: "GET" });
+      renderReview(data);
+      const n = data.held.length + data.reported.length;
+      btnAdmin.textContent = n ? `Moderation (${n})` : "Moderation";
+    } catch (e) {
+      setAdminError(e.message || "Could not load the review queue");
+    }
+  }
+
+  adminReviewEl.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-review]");
+    if (!btn) return;
+    const li = btn.closest("li");
+    const action = btn.dataset.review;
+    const path = li.dataset.held
+      ? `/api/admin/review/held/${li.dataset.held}`
+      : `/api/admin/review/reports/${li.dataset.reported}`;
+    setAdminError("");
+    try {
+      await api(path, { method: "POST", body: JSON.stringify({ action }) });
+    } catch (err) {
+      setAdminError(err.message || "Action failed");
+    }
+    await refreshReview();
+  });
+
+  function renderFilters(rules) {
+    filterListEl.innerHTML = "";
+    for (const r of rules) {
+      const li = document.createElement("li");
+      li.className = "adminUser";
+      li.dataset.rule = r.id;
+      li.innerHTML = `
+        <span class="adminUserName">
+          ${escapeHtml(r.term)}<span class="roleBadge">${r.list} · ${r.action}${r.whole_word ? " · whole word" : ""}</span>
+        </span>
+        <button type="button" class="btn btnSmall" data-rule-remove>Remove</button>
+      `;
+      filterListEl.appendChild(li);
+    }
+    if (!rules.length) filterListEl.innerHTML = '<li class="muted">No words are filtered.</li>';
+  }
+
+  async function refreshFilters() {
+    try {
+      const data = await api("/api/admin/filters", { method: "GET" });
+      renderFilters(data.rules);
+    } catch (e) {
+      setAdminError(e.message || "Could not load word filters");
+    }
+  }
+
+  filterForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const term = filterTerm.value.trim();
+    if (!term) return;
+    const [list, action] = filterAction.value.split(":");
+    setAdminError("");
+    try {
+      await api("/api/admin/filters", {
+        method: "POST",
+        body: JSON.stringify({ term, list, action, whole_word: filterWhole.checked })
+      });
+      filterTerm.value = "";
+    } catch (err) {
+      setAdminError(err.message || "Could not add that word");
+    }
+    await refreshFilters();
+  });
+
+  filterListEl.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-rule-remove]");
+    if (!btn) return;
+    try {
+      await api(`/api/admin/filters/${btn.closest("li").dataset.rule}`, { method: "DELETE" });
+    } catch (err) {
+      setAdminError(err.message || "Could not remove that word");
+    }
+    await refreshFilters();
+  });
+
+  importForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const file = importFile.files[0];
+    if (!file) return;
+    setAdminError("");
+    importResult.hidden = false;
+    importResult.textContent = `Importing ${file.name}…`;
+    try {
+      const body = new FormData();
+      body.append("file", file);
+      if (importSource.value.trim()) body.append("source", importSource.value.trim());
+      // multipart, like uploads: the browser sets the boundary
+      const res = await fetch("/api/admin/import", { method: "POST", credentials: "include", headers: csrfHeaders(), body });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `Import failed (${res.status})`);
+      importResult.textContent = `${data.source}: imported ${data.imported} messages` +
+        ` (${data.already_imported} already here, ${data.skipped} skipped);` +
+        ` ${data.users_created} users and ${data.rooms_created} rooms created.`;
+      importFile.value = "";
+    } catch (err) {
+      importResult.hidden = true;
+      setAdminError(err.message || "Import failed");
+    }
+    await refreshAdmin();
+  });
+
+  adminUsersEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-admin]");
+    if (!btn) return;
+    adminAction(btn.closest(".adminUser").dataset.username, btn.dataset.admin);
+  });
+  adminUsersEl.addEventListener("change", (e) => {
+    const sel = e.target.closest("select[data-admin]");
+    if (!sel || !sel.value) return;
+    adminAction(sel.closest(".adminUser").dataset.username, sel.dataset.admin, sel.value);
+  });
+
+  let adminSearchTimer = null;
+  adminSearch.addEventListener("input", () => {
+    clearTimeout(adminSearchTimer);
+    adminSearchTimer = setTimeout(refreshAdmin, 250);
+  });
+  btnAdmin.addEventListener("click", () => showAdmin(true));
+  adminClose.addEventListener("click", () => showAdmin(false));
+  adminBackdrop.addEventListener("click", () => showAdmin(false));
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    if (!adminModal.hidden) showAdmin(false);
+    if (!accountModal.hidden) showAccount(false);
+  });
+
+  // ---- account settings
+  function showAccount(show) {
+    accountModal.hidden = !show;
+    accountBackdrop.hidden = !show;
+    for (const input of accountModal.querySelectorAll("input[type=password], input[type=text]")) input.value = "";
+    if (show) setAccountPane("sessions");
+  }
+
+  function setAccountPane(pane) {
+    for (const tab of accountTabs) tab.classList.toggle("active", tab.dataset.pane === pane);
+    for (const el of accountPanes) el.hidden = el.dataset.pane !== pane;
+    setAccountError("");
+    setAccountNotice("");
+    if (pane === "sessions") refreshSessions();
+    if (pane === "username") renameUser.value = myName;
+    if (pane === "tokens") {
+      tokenSecret.hidden = true;
+      tokenAdminScope.hidden = roleRank(myRole) < ROLE_RANK.moderator;
+      refreshTokens();
+    }
+    if (pane === "export") exportAll.hidden = roleRank(myRole) < ROLE_RANK.admin;
+  }
+
+  function setAccountError(msg) {
+    accountError.hidden = !msg;
+    accountError.textContent = msg || "";
+  }
+
+  function setAccountNotice(msg) {
+    accountNotice.hidden = !msg;
+    accountNotice.textContent = msg || "";
+  }
+
+  for (const tab of accountTabs) tab.addEventListener("click", () => setAccountPane(tab.dataset.pane));
+
+  function accountFailed(e, fallback) {
+    setAccountNotice("");
+    setAccountError(e.retryAfter ? `Too many attempts. Try again in ${e.retryAfter}s.` : e.message || fallback);
+  }
+
+  passwordForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      const data = await api("/api/account/password", {
+        method: "POST",
+        body: JSON.stringify({ current_password: pwCurrent.value, new_password: pwNew.value })
+      });
+      pwCurrent.value = "";
+      pwNew.value = "";
+      setAccountError("");
+      setAccountNotice(data.revoked
+        ? `Password changed. ${data.revoked} other session(s) were signed out.`
+        : "Password changed.");
+    } catch (err) {
+      accountFailed(err, "Could not change your password");
+    }
+  });
+
+  renameForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      const data = await api("/api/account/username", {
+        method: "POST",
+        body: JSON.stringify({ username: renameUser.value.trim(), password: renamePass.value })
+      });
+      renamePass.value = "";
+      applyRename({ from: myName, to: data.username });
+      setAccountError("");
+      setAccountNotice(`You are now ${data.username}.`);
+    } catch (err) {
+      accountFailed(err, "Could not change your username");
+    }
+  });
+
+  deleteForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const mode = deleteForm.querySelector("input[name=deleteMode]:checked").value;
+    if (!confirm("Delete your account for good?")) return;
+    try {
+      await api("/api/account", {
+        method: "DELETE",
+        body: JSON.stringify({ password: deletePass.value, messages: mode })
+      });
+      await ensureSignedIn();
+    } catch (err) {
+      accountFailed(err, "Could not delete your account");
+    }
+  });
+
+  // someone (maybe us, from another tab) changed name or deleted their account
+  function applyRename({ from, to, removed }) {
+    if (from === myName) {
+      myName = to;
+      who.textContent = `You are: ${to}`;
+    }
+    for (const div of messagesEl.querySelectorAll(".msg")) {
+      const m = div._msg;
+      if (!m) continue;
+      const mine = m.username === from;
+      const quoted = m.parent && m.parent.username === from;
+      if (!mine && !quoted) continue;
+      const next = { ...m };
+      if (mine) {
+        next.username = to;
+        if (removed && !m.deleted_at) Object.assign(next, { text: "", attachments: [], deleted_at: new Date().toISOString() });
+      }
+      if (quoted) next.parent = { ...m.parent, username: to, ...(removed ? { text: "", deleted: true } : {}) };
+      renderMessage(div, next);
+    }
+    refreshConversations();
+  }
+
+  function applyNick({ username, nick }) {
+    for (const div of messagesEl.querySelectorAll(".msg")) {
+      if (div._msg?.username === username) renderMessage(div, { ...div._msg, nick });
+    }
+  }
+
+  // "Firefox on Windows" is enough to recognise a device
+  function describeAgent(ua) {
+    if (!ua) return "Unknown device";
+    const browser = /Edg\//.test(ua) ? "Edge"
+      : /OPR\//.test(ua) ? "Opera"
+      : /Firefox\//.test(ua) ? "Firefox"
+      : /Chrome\//.test(ua) ? "Chrome"
+      : /Safari\//.test(ua) ? "Safari"
+      : ua.split(/[ /]/)[0];
+    const os = /iPhone|iPad/.test(ua) ? "iOS"
+      : /Android/.test(ua) ? "Android"
+      : /Windows/.test(ua) ? "Windows"
+      : /Mac OS X|Macintosh/.test(ua) ? "macOS"
+      : /Linux/.test(ua) ? "Linux"
+      : "";
+    return os ? `${browser} on ${os}` : browser;
+  }
+
+  function renderSessions(sessions) {
+    sessionListEl.innerHTML = "";
+    for (const sess of sessions) {
+      const li = document.createElement("li");
+      li.className = "adminUser";
+      li.dataset.session = sess.id;
+      li.title = sess.user_agent;
+      li.innerHTML = `
+        <span class="adminUserName">
+          ${escapeHtml(describeAgent(sess.user_agent))}${sess.current ? '<span class="roleBadge">this device</span>' : ""}
+          <span class="muted">${escapeHtml(sess.ip)} · last active ${new Date(sess.last_seen_at || sess.created_at).toLocaleString()}</span>
+        </span>
+        <button type="button" class="btn btnSmall" data-revoke>${sess.current ? "Log out" : "Revoke"}</button>
+      `;
+      sessionListEl.appendChild(li);
+    }
+    btnLogoutOthers.disabled = sessions.length < 2;
+  }
+
+  async function refreshSessions() {
+    try {
+      const data = await api("/api/sessions", { method: "GET" });
+      renderSessions(data.sessions);
+    } catch (e) {
+      setAccountError(e.message || "Could not load sessions");
+    }
+  }
+
+  sessionListEl.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-revoke]");
+    if (!btn) return;
+    try {
+      const data = await api(`/api/sessions/${btn.closest("li").dataset.session}`, { method: "DELETE" });
+      if (data.current) return ensureSignedIn();
+    } catch (err) {
+      setAccountError(err.message || "Could not revoke that session");
+    }
+    await refreshSessions();
+  });
+
+  btnLogoutOthers.addEventListener("click", async () => {
+    try {
+      await api("/api/sessions?keep_current=1", { method: "DELETE" });
+    } catch (err) {
+      setAccountError(err.message || "Could not sign out other sessions");
+    }
+    await refreshSessions();
+  });
+
+  btnLogoutAll.addEventListener("click", async () => {
+    if (!confirm("Log out on every device, including this one?")) return;
+    try { await api("/api/sessions", { method: "DELETE" }); } catch {}
+    await ensureSignedIn();
+  });
+
+  // ---- API tokens
+  function renderTokens(tokens) {
+    tokenListEl.innerHTML = "";
+    for (const t of tokens) {
+      const li = document.createElement("li");
+      li.className = "adminUser";
+      li.dataset.token = t.id;
+      const owner = t.username === myName ? "" : `<span class="roleBadge">bot ${escapeHtml(t.username)}</span>`;
+      const used = t.last_used_at ? `last used ${new Date(t.last_used_at).toLocaleString()}` : "never used";
+      li.innerHTML = `
+        <span class="adminUserName">
+          ${escapeHtml(t.name)}${owner}
+          <span class="muted">${escapeHtml(t.prefix)}… · ${escapeHtml(t.scopes.join(", "))} · ${used}</span>
+        </span>
+        <button type="button" class="btn btnSmall" data-revoke>Revoke</button>
+      `;
+      tokenListEl.appendChild(li);
+    }
+    if (!tokens.length) tokenListEl.innerHTML = '<li class="muted">No tokens yet.</li>';
+  }
+
+  async function refreshTokens() {
+    try {
+      const data = await api("/api/tokens", { method: "GET" });
+      renderTokens(data.tokens);
+    } catch (e) {
+      setAccountError(e.message || "Could not load tokens");
+    }
+  }
+
+  tokenForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const scopes = [...tokenForm.querySelectorAll("input[name=tokenScope]:checked")].map(i => i.value);
+    try {
+      const data = await api("/api/tokens", {
+        method: "POST",
+        body: JSON.stringify({ name: tokenName.value, scopes })
+      });
+      tokenName.value = "";
+      setAccountError("");
+      setAccountNotice("Copy your token now; it won't be shown again.");
+      tokenSecret.value = data.secret;
+      tokenSecret.hidden = false;
+      tokenSecret.select();
+    } catch (err) {
+      accountFailed(err, "Could not create the token");
+    }
+    await refreshTokens();
+  });
+
+  tokenListEl.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-revoke]");
+    if (!btn) return;
+    if (!confirm("Revoke this token? Anything using it stops working.")) return;
+    try {
+      await api(`/api/tokens/${btn.closest("li").dataset.token}`, { method: "DELETE" });
+    } catch (err) {
+      setAccountError(err.message || "Could not revoke that token");
+    }
+    await refreshTokens();
+  });
+
+  btnAccount.addEventListener("click", () => showAccount(true));
+  accountClose.addEventListener("click", () => showAccount(false));
+  accountBackdrop.addEventListener("click", () => showAccount(false));
+
+  // ---- typing indicators
+  const TYPING_RESEND_MS = 3000; // the server forgets us ~6s after the last refresh
+  const TYPING_IDLE_MS = 4000; // no keystrokes for this long counts as stopped
+
+  const typingUsers = new Map(); // channel key -> Map(username -> expiry timer)
+  let typingChannel = null; // where we last said we're typing
+  let typingSentAt = 0;
+  let typingIdleTimer = null;
+
+  function renderTyping() {
+    const names = [...(typingUsers.get(channelKey(current))?.keys() || [])];
+    typingEl.hidden = !names.length;
+    if (names.length === 1) typingEl.textContent = `${names[0]} is typing…`;
+    else if (names.length === 2) typingEl.textContent = `${names[0]} and ${names[1]} are typing…`;
+    else if (names.length === 3) typingEl.textContent = `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+    else if (names.length > 3) typingEl.textContent = `${names[0]}, ${names[1]} and ${names.length - 2} others are typing…`;
+    else typingEl.textContent = "";
+  }
+
+  function applyTyping(t) {
+    if (t.username === myName) return;
+    const key = channelKey(channelOf(t));
+    const users = typingUsers.get(key) || new Map();
+    clearTimeout(users.get(t.username));
+    if (t.typing) {
+      users.set(t.username, setTimeout(() => applyTyping({ ...t, typing: false }), t.expires_in * 1000));
+      typingUsers.set(key, users);
+    } else {
+      users.delete(t.username);
+      if (!users.size) typingUsers.delete(key);
+    }
+    renderTyping();
+  }
+
+  function clearTyping() {
+    for (const users of typingUsers.values()) {
+      for (const timer of users.values()) clearTimeout(timer);
+    }
+    typingUsers.clear();
+    renderTyping();
+  }
+
+  function noteTyping() {
+    if (!myName) return;
+    if (!text.value.trim()) return stopTyping();
+    clearTimeout(typingIdleTimer);
+    typingIdleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+    if (typingChannel && Date.now() - typingSentAt < TYPING_RESEND_MS) return;
+    typingChannel = current;
+    typingSentAt = Date.now();
+    realtimeCommand("typing", current, { typing: true }, `${channelPath(current)}/typing`).catch(() => {});
+  }
+
+  // sent: the message went out, and posting it already cleared us on the server
+  function stopTyping(sent) {
+    clearTimeout(typingIdleTimer);
+    if (!typingChannel) return;
+    const c = typingChannel;
+    typingChannel = null;
+    if (sent !== true) {
+      realtimeCommand("typing", c, { typing: false }, `${channelPath(c)}/typing`).catch(() => {});
+    }
+  }
+
+  text.addEventListener("input", noteTyping);
+
+  // ---- mentions and notifications
+  function setNotifUnread(n) {
+    notifUnread = Math.max(0, n || 0);
+    notifCountEl.hidden = !notifUnread;
+    notifCountEl.textContent = notifUnread > 99 ? "99+" : String(notifUnread);
+    btnNotifications.title = notifUnread ? `${notifUnread} unread mention${notifUnread === 1 ? "" : "s"}` : "Mentions";
+  }
+
+  function renderNotifications() {
+    notifPanel.innerHTML = "";
+    const head = document.createElement("div");
+    head.className = "notifHead";
+    head.innerHTML = '<span>Mentions</span><button class="btn btnSmall" type="button">Mark all read</button>';
+    const markAll = head.querySelector("button");
+    markAll.disabled = !notifUnread;
+    markAll.addEventListener("click", () => markNotificationsRead());
+    notifPanel.appendChild(head);
+    if (!notifications.length) {
+      notifPanel.insertAdjacentHTML("beforeend", '<div class="searchEmpty">No mentions yet.</div>');
+      return;
+    }
+    for (const n of notifications) {
+      const m = n.message;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = n.read_at ? "searchResult" : "searchResult notifUnread";
+      btn.innerHTML = `
+        <div class="searchMeta">${escapeHtml(searchResultLabel(m))} · ${escapeHtml(m.username)} · ${escapeHtml(new Date(n.created_at).toLocaleString())}</div>
+        <div>${formatMessage((m.text || "").slice(0, 200), { mentions: m.mentions, me: myName })}</div>
+      `;
+      btn.addEventListener("click", () => {
+        notifPanel.hidden = true;
+        if (!n.read_at) markNotificationsRead([n.id]);
+        jumpToMessage(m);
+      });
+      notifPanel.appendChild(btn);
+    }
+  }
+
+  async function refreshNotifications() {
+    try {
+      const data = await api("/api/notifications?limit=30", { method: "GET" });
+      notifications = data.notifications || [];
+      setNotifUnread(data.unread);
+      if (!notifPanel.hidden) renderNotifications();
+    } catch {
+      // ignore
+    }
+  }
+
+  // no ids: everything
+  async function markNotificationsRead(ids) {
+    const now = new Date().toISOString();
+    for (const n of notifications) {
+      if (!n.read_at && (!ids || ids.includes(n.id))) n.read_at = now;
+    }
+    try {
+      const data = await api("/api/notifications/read", { method: "POST", body: JSON.stringify(ids ? { ids } : {}) });
+      setNotifUnread(data.unread);
+    } catch {
+      // ignore
+    }
+    if (!notifPanel.hidden) renderNotifications();
+  }
+
+  function applyMention(n) {
+    if (!n || !n.message || notifications.some(x => x.id === n.id)) return;
+    notifications.unshift(n);
+    setNotifUnread(notifUnread + 1);
+    if (!notifPanel.hidden) renderNotifications();
+    if (document.visibilityState !== "visible") showBrowserNotification(n);
+  }
+
+  function showBrowserNotification(n) {
+    if (myStatus === "dnd") return;
+    if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+    const m = n.message;
+    try {
+      const note = new Notification(`${m.username} mentioned you`, {
+        body: (m.text || "").slice(0, 140),
+        tag: `mention-${n.id}`,
+        icon: "/logo.png"
+      });
+      note.addEventListener("click", () => {
+        window.focus();
+        note.close();
+        jumpToMessage(m);
+      });
+    } catch {
+      // some mobile browsers only allow notifications from a service worker
+    }
+  }
+
+  // browsers only ask in response to a click or key press
+  function askNotificationPermission() {
+    if (typeof Notification === "undefined" || Notification.permission !== "default") return;
+    try {
+      Promise.resolve(Notification.requestPermission()).catch(() => {});
+    } catch {}
+  }
+
+  btnNotifications.addEventListener("click", () => {
+    notifPanel.hidden = !notifPanel.hidden;
+    if (!notifPanel.hidden) {
+      renderNotifications();
+      refreshNotifications();
+    }
+    askNotificationPermission();
+  });
+  document.addEventListener("click", (e) => {
+    if (!notifPanel.hidden && !notifPanel.parentElement.contains(e.target)) notifPanel.hidden = true;
+  });
+
+  // "@" autocomplete: people online first, then anyone matching from the server
+  const MENTION_MENU_SIZE = 8;
+  let mentionItems = [];
+  let mentionIndex = 0;
+  let mentionTimer = null;
+  let mentionSeq = 0;
+
+  // the "@query" right before the caret, if any
+  function mentionContext() {
+    const caret = text.selectionStart ?? text.value.length;
+    const m = text.value.slice(0, caret).match(/(?:^|[^A-Za-z0-9_.@-])@([A-Za-z0-9 _.-]{0,24})$/);
+    if (!m || / {2}|^ /.test(m[1])) return null;
+    return { start: caret - m[1].length - 1, end: caret, query: m[1] };
+  }
+
+  function renderMentionMenu(names) {
+    mentionItems = names.filter(u => u !== myName).slice(0, MENTION_MENU_SIZE);
+    mentionIndex = Math.min(mentionIndex, Math.max(0, mentionItems.length - 1));
+    mentionMenu.innerHTML = "";
+    mentionMenu.hidden = !mentionItems.length;
+    mentionItems.forEach((u, i) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "searchResult";
+      btn.setAttribute("role", "option");
+      btn.textContent = `@${u}`;
+      // keep focus (and the caret) in the composer
+      btn.addEventListener("mousedown", (e) => e.preventDefault());
+      btn.addEventListener("click", () => pickMention(u));
+      mentionMenu.appendChild(btn);
+    });
+    highlightMentionItem();
+  }
+
+  function highlightMentionItem() {
+    [...mentionMenu.children].forEach((btn, i) => {
+      btn.classList.toggle("active", i === mentionIndex);
+      btn.setAttribute("aria-selected", String(i === mentionIndex));
+    });
+  }
+
+  function hideMentionMenu() {
+    clearTimeout(mentionTimer);
+    mentionSeq++;
+    mentionItems = [];
+    mentionIndex = 0;
+    mentionMenu.hidden = true;
+  }
+
+  function updateMentionMenu() {
+    const ctx = mentionContext();
+    if (!ctx || !myName) return hideMentionMenu();
+    const q = ctx.query.toLowerCase();
+    const online = onlineNames.filter(u => u.toLowerCase().startsWith(q));
+    renderMentionMenu(online);
+    clearTimeout(mentionTimer);
+    const seq = ++mentionSeq;
+    mentionTimer = setTimeout(async () => {
+      try {
+        const data = await api(`/api/users?q=${encodeURIComponent(ctx.query)}`, { method: "GET" });
+        if (seq !== mentionSeq) return; // typed on meanwhile
+        renderMentionMenu([...new Set([...online, ...(data.users || []).map(u => u.username)])]);
+      } catch {
+        // ignore
+      }
+    }, 150);
+  }
+
+  function pickMention(username) {
+    const ctx = mentionContext();
+    hideMentionMenu();
+    if (!ctx) return;
+    const insert = `@${username} `;
+    text.value = text.value.slice(0, ctx.start) + insert + text.value.slice(ctx.end);
+    const caret = ctx.start + insert.length;
+    text.setSelectionRange(caret, caret);
+    text.focus();
+  }
+
+  text.addEventListener("input", updateMentionMenu);
+  text.addEventListener("blur", hideMentionMenu);
+  text.addEventListener("keydown", (e) => {
+    if (mentionMenu.hidden || !mentionItems.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      mentionIndex = (mentionIndex + step + mentionItems.length) % mentionItems.length;
+      highlightMentionItem();
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      pickMention(mentionItems[mentionIndex]);
+    } else if (e.key === "Escape") {
+      // close the menu, not the reply
+      e.stopImmediatePropagation();
+      hideMentionMenu();
+    }
+  });
+
+  // ---- slash commands
+  const COMMANDS_TTL_MS = 60_000; // bots add commands now and then; refetch the list after this
+  const seenEphemeral = new Set(); // the POST answer and the stream both carry it
+  let commands = [];
+  let commandsAt = 0;
+  let commandItems = [];
+  let commandIndex = 0;
+
+  // answers only we get; they're not stored, so they go when the channel is reloaded
+  function addEphemeral(e) {
+    if (!e || seenEphemeral.has(e.id)) return;
+    seenEphemeral.add(e.id);
+    if (!isCurrent(channelOf(e))) return;
+    const div = document.createElement("div");
+    div.className = "ephemeral";
+    div.innerHTML = `
+      <div class="msgTop">
+        <div class="msgUser">${escapeHtml(e.username || "ChachChat")}</div>
+        <div class="msgTime">only you can see this · ${escapeHtml(fmtTime(e.created_at))}</div>
+      </div>
+      <div class="msgText">${formatMessage(e.text)}</div>
+    `;
+    messagesEl.appendChild(div);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+  }
+
+  async function loadCommands() {
+    if (Date.now() - commandsAt < COMMANDS_TTL_MS) return;
+    commandsAt = Date.now();
+    try {
+      commands = (await api("/api/commands", { method: "GET" })).commands || [];
+    } catch {
+      // keep the old list until the next refetch
+    }
+  }
+
+  // "/na" while the name is typed; after the space we only show the argument hint
+  function commandContext() {
+    const m = text.value.match(/^\/([A-Za-z0-9_-]*)(\s?)/);
+    if (!m || text.value.startsWith("//")) return null;
+    return { query: m[1].toLowerCase(), typingArgs: !!m[2] };
+  }
+
+  function commandLabel(c) {
+    return `<b>/${escapeHtml(c.name)}</b>${c.args ? ` <span class="commandArgs">${escapeHtml(c.args)}</span>` : ""}
+      <span class="commandDesc">${escapeHtml(c.description)}${c.bot ? ` · ${escapeHtml(c.bot)}` : ""}</span>`;
+  }
+
+  function renderCommandMenu(ctx) {
+    commandMenu.innerHTML = "";
+    commandItems = [];
+    if (ctx.typingArgs) {
+      const cmd = commands.find(c => c.name === ctx.query);
+      commandMenu.hidden = !cmd || !cmd.args;
+      if (cmd) commandMenu.innerHTML = `<div class="searchResult" role="status">${commandLabel(cmd)}</div>`;
+      return;
+    }
+    commandItems = commands.filter(c => c.name.startsWith(ctx.query));
+    commandIndex = Math.min(commandIndex, Math.max(0, commandItems.length - 1));
+    commandMenu.hidden = !commandItems.length;
+    commandItems.forEach((c) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "searchResult";
+      btn.setAttribute("role", "option");
+      btn.innerHTML = commandLabel(c);
+      // keep focus (and the caret) in the composer
+      btn.addEventListener("mousedown", (e) => e.preventDefault());
+      btn.addEventListener("click", () => pickCommand(c));
+      commandMenu.appendChild(btn);
+    });
+    highlightCommandItem();
+  }
+
+  function highlightCommandItem() {
+    [...commandMenu.children].forEach((btn, i) => {
+      btn.classList.toggle("active", i === commandIndex);
+      btn.setAttribute("aria-selected", String(i === commandIndex));
+    });
+  }
+
+  function hideCommandMenu() {
+    commandItems = [];
+    commandIndex = 0;
+    commandMenu.hidden = true;
+  }
+
+  async function updateCommandMenu() {
+    const ctx = commandContext();
+    if (!ctx || !myName) return hideCommandMenu();
+    const first = !commandsAt;
+    const loading = loadCommands();
+    if (first) await loading;
+    // typed on (or sent) while the list loaded
+    const now = commandContext();
+    if (!now) return hideCommandMenu();
+    renderCommandMenu(now);
+  }
+
+  function pickCommand(c) {
+    hideCommandMenu();
+    text.value = `/${c.name} ${text.value.replace(/^\/\S*\s?/, "")}`;
+    const caret = c.name.length + 2;
+    text.setSelectionRange(caret, caret);
+    text.focus();
+    renderCommandMenu(commandContext());
+  }
+
+  text.addEventListener("input", updateCommandMenu);
+  text.addEventListener("blur", hideCommandMenu);
+  text.addEventListener("keydown", (e) => {
+    if (commandMenu.hidden || !commandItems.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      commandIndex = (commandIndex + step + commandItems.length) % commandItems.length;
+      highlightCommandItem();
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      const c = commandItems[commandIndex];
+      // "/who" typed out in full: Enter sends it
+      if (e.key === "Enter" && text.value.trim().toLowerCase() === `/${c.name}`) return;
+      e.preventDefault();
+      pickCommand(c);
+    } else if (e.key === "Escape") {
+      e.stopImmediatePropagation();
+      hideCommandMenu();
+    }
+  });
+
+  // ---- search
+  // "from:name", "before:date" and "after:date" tokens become filters; the rest is the query
+  function searchParams(raw) {
+    const params = new URLSearchParams();
+    const rest = raw.replace(/\b(from|before|after):(\S+)/g, (_, k, v) => {
+      params.set(k === "from" ? "user" : k, v);
+      return " ";
+    });
+    params.set("q", rest.trim());
+    return params;
+  }
+
+  function snippetHtml(s) {
+    return escapeHtml(s || "").replace(/\u0002/g, "<mark>").replace(/\u0003/g, "</mark>");
+  }
+
+  function searchResultLabel(r) {
+    if (r.room_name) return `# ${r.room_name}`;
+    if (r.room_id) {
+      const room = rooms.find(x => x.id === r.room_id);
+      return room ? `# ${room.name}` : "Room";
+    }
+    const conv = conversations.find(x => x.id === r.conversation_id);
+    return conv ? `@ ${conversationLabel(conv)}` : "Direct message";
+  }
+
+  function renderSearchResults(results) {
+    searchResultsEl.innerHTML = "";
+    searchResultsEl.hidden = false;
+    if (!results.length) {
+      searchResultsEl.innerHTML = '<div class="searchEmpty">No matches.</div>';
+      return;
+    }
+    for (const r of results) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "searchResult";
+      btn.innerHTML = `
+        <div class="searchMeta">${escapeHtml(searchResultLabel(r))} · ${escapeHtml(r.username)} · ${escapeHtml(new Date(r.created_at).toLocaleString())}</div>
+        <div>${snippetHtml(r.snippet)}</div>
+      `;
+      btn.addEventListener("click", () => {
+        searchResultsEl.hidden = true;
+        jumpToMessage(r);
+      });
+      searchResultsEl.appendChild(btn);
+    }
+  }
+
+  // show the hit in its room / DM with the surrounding messages loaded
+  async function jumpToMessage(r) {
+    try {
+      const c = r.conversation_id ? { type: "dm", id: r.conversation_id } : { type: "room", id: r.room_id };
+      const data = await api(`/api/messages/${r.id}/context?limit=25`, { method: "GET" });
+      current = c;
+      hasOlder = false;
+      setReplyTo(null);
+      unread.delete(channelKey(c));
+      renderChannels();
+      messagesEl.innerHTML = "";
+      setViewingHistory(false);
+      for (const m of data.messages || []) addMessage(m);
+      setViewingHistory(!!data.has_more_after);
+      hasOlder = true; // an empty page clears it
+      dividerAfter = 0;
+      placeDivider();
+      loadReceipts(c);
+
+      const target = messagesEl.querySelector(`:scope > .msg[data-id="${r.id}"]`);
+      if (target) {
+        target.scrollIntoView({ block: "center" });
+        target.classList.add("highlight");
+        setTimeout(() => target.classList.remove("highlight"), 2000);
+      }
+    } catch {
+      // ignore
+    }
+  }
+
+  searchForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const params = searchParams(searchInput.value);
+    if (!params.get("q")) return;
+    try {
+      const data = await api(`/api/search?${params}`, { method: "GET" });
+      renderSearchResults(data.results || []);
+    } catch (err) {
+      searchResultsEl.hidden = false;
+      searchResultsEl.innerHTML = `<div class="searchEmpty">${escapeHtml(err.message || "Search failed")}</div>`;
+    }
+  });
+
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") searchResultsEl.hidden = true;
+  });
+  document.addEventListener("click", (e) => {
+    if (!searchForm.contains(e.target)) searchResultsEl.hidden = true;
+  });
+
+  jumpLatest.addEventListener("click", () => loadInitial().catch(() => {}));
+
+  replyCancel.addEventListener("click", () => setReplyTo(null));
+
+  btnAttach.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    for (const file of fileInput.files) uploadFile(file);
+    fileInput.value = "";
+  });
+  text.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && replyTo) setReplyTo(null);
+  });
+  // Enter sends, Shift+Enter starts a new line; the menus above claim Enter while they're open
+  text.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter" || e.shiftKey || e.isComposing || e.defaultPrevented) return;
+    e.preventDefault();
+    form.requestSubmit();
+  });
+  // the composer grows with its text, up to the CSS max-height
+  function fitComposer() {
+    text.style.height = "auto";
+    if (text.value) text.style.height = `${text.scrollHeight + 2}px`;
+  }
+  text.addEventListener("input", fitComposer);
+
+  // ---- presence
+  statusSelect.addEventListener("change", () => saveStatus({ status: statusSelect.value }));
+  statusTextInput.addEventListener("change", () => saveStatus({ status_text: statusTextInput.value.trim() }));
+  statusForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    statusTextInput.blur(); // fires "change"
+  });
+
+  // lets the server lift automatic idle; at most one ping a minute
+  const ACTIVITY_PING_MS = 60 * 1000;
+  let activitySentAt = 0;
+  function noteActivity() {
+    if (!myName || !realtimeLive() || document.visibilityState !== "visible") return;
+    if (Date.now() - activitySentAt < ACTIVITY_PING_MS) return;
+    activitySentAt = Date.now();
+    api("/api/presence", { method: "POST", body: JSON.stringify({ active: true }) }).catch(() => {});
+  }
+  for (const type of ["pointerdown", "pointermove", "keydown", "wheel", "focus"]) {
+    window.addEventListener(type, noteActivity, { passive: true });
+  }
+  document.addEventListener("visibilitychange", noteActivity);
+
   // boot
   setMode("login");
   ensureSignedIn();